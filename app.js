@@ -0,0 +1,23 @@
+import express from "express";
+import { middleware } from "@line/bot-sdk";
+
+// ===== Express =====
+// /webhook 驗證 LINE 簽章後交給 bot 處理
+export function createApp({ bot, channelSecret }) {
+  const app = express();
+
+  app.post("/webhook", middleware({ channelSecret }), async (req, res) => {
+    try {
+      const events = req.body.events || [];
+      await Promise.all(events.map(bot.handleEvent));
+      res.sendStatus(200);
+    } catch (err) {
+      console.error(err);
+      res.sendStatus(500);
+    }
+  });
+
+  app.get("/", (req, res) => res.send("LINE Boss Reminder Bot is running."));
+
+  return app;
+}
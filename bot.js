@@ -0,0 +1,2120 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import { bossListFlex, bossInfoFlex, bossQuickReply, POSTBACK_DELAY_MIN, POSTBACK_LABELS } from "./flex.js";
+import { createRouter, formatUsage, parseHourMin } from "./router.js";
+import {
+  loadBuiltinRecipes, createRecipe, parseRecipeInputs, calcRecipe, formatRecipeResult, recipeHelp, resolveMaterial, inputLabel,
+} from "./crafting.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// ===== Bot 本體 =====
+// LINE client、儲存方式與時鐘都由外部傳入（index.js 用真的，測試用假的）
+//   client：需要 replyMessage / pushMessage / get*Profile
+//   storage：見 storage/
+//   clock：回傳目前時間（Date），測試可以固定時間
+//   env：讀取 USER_ID、ADMIN_IDS、TIMEZONE、LEGACY_BOSS_OWNER 等設定
+export function createBot({ client, storage, clock = () => new Date(), env = process.env }) {
+  // 目前時間（依設定的時區）
+  function currentTime() {
+    return dayjs(clock()).tz(settings.timezone);
+  }
+
+  // ===== Bot 資料（每個群組 / 聊天室 / 個人各自一張表）=====
+  let bossTables = {};
+
+  // 依事件來源決定資料範圍：群組 > 多人聊天 > 個人
+  function getScopeId(source) {
+    return source.groupId || source.roomId || source.userId;
+  }
+
+  function getBossTable(scopeId) {
+    if (!bossTables[scopeId]) bossTables[scopeId] = {};
+    return bossTables[scopeId];
+  }
+
+  // ===== 分類資料 =====
+  let categoryData = {};
+
+  // ===== 全域設定 =====
+  const DEFAULT_SETTINGS = {
+    notifyAll: true, // 總通知開關
+    notifyBefore: 10, // 重生前幾分鐘提醒（王沒有個別設定 /提醒 時使用）
+    notifyTargets: splitIds(env.USER_ID), // 會收到自己王表提醒的群組 / 聊天室 / 個人 ID
+    timezone: env.TIMEZONE || "Asia/Taipei",
+    admins: [...new Set([...splitIds(env.USER_ID), ...splitIds(env.ADMIN_IDS)])].filter((id) => id.startsWith("U")), // 管理員（個人 ID），預設為 USER_ID 裡的個人加上 ADMIN_IDS
+    unconfirmedAfter: 3, // 連續錯過幾輪沒人回報就標記「未確認」
+    muteAfter: 0, // 連續錯過幾輪就自動停止提醒（0＝不停）
+    digests: {}, // 各聊天室的定時摘要：{ 群組ID: { daily: "08:00" 或 null, hourly: true/false } }
+  };
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    notifyTargets: [...DEFAULT_SETTINGS.notifyTargets],
+    admins: [...DEFAULT_SETTINGS.admins],
+    digests: {},
+  };
+
+  function splitIds(str) {
+    return (str || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+  }
+
+  function isValidTimezone(tz) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: tz });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // ===== 載入全域設定 =====
+  async function loadSettings() {
+    try {
+      const stored = await storage.loadSettings(DEFAULT_SETTINGS);
+
+      if (stored.notifyAll !== undefined) settings.notifyAll = stored.notifyAll;
+      if (Number.isInteger(stored.notifyBefore) && stored.notifyBefore >= 0) settings.notifyBefore = stored.notifyBefore;
+      if (stored.notifyTargets !== undefined) settings.notifyTargets = stored.notifyTargets;
+      if (stored.timezone && isValidTimezone(stored.timezone)) settings.timezone = stored.timezone;
+      if (stored.admins !== undefined) settings.admins = stored.admins;
+      // ADMIN_IDS 一定是管理員，名單被改壞時改環境變數重啟就能救回來
+      for (const id of splitIds(env.ADMIN_IDS)) {
+        if (id.startsWith("U") && !settings.admins.includes(id)) settings.admins.push(id);
+      }
+      if (Number.isInteger(stored.unconfirmedAfter) && stored.unconfirmedAfter >= 1) {
+        settings.unconfirmedAfter = stored.unconfirmedAfter;
+      }
+      if (Number.isInteger(stored.muteAfter) && stored.muteAfter >= 0) settings.muteAfter = stored.muteAfter;
+      if (stored.digests && typeof stored.digests === "object") settings.digests = stored.digests;
+
+      // 第一次啟動（或舊版資料）缺少的設定補寫回去
+      if (Object.keys(DEFAULT_SETTINGS).some((key) => !(key in stored))) await saveSettings();
+      console.log("✅ 已載入全域設定", settings);
+    } catch (err) {
+      console.error("❌ 無法載入全域設定，使用預設值", err);
+    }
+    if (settings.admins.length === 0) {
+      console.warn("⚠️ 尚未設定管理員，管理指令都無法使用；請在 ADMIN_IDS 填入個人 ID（可用 /我的ID 查詢）後重新啟動");
+    }
+  }
+
+  // ===== 儲存全域設定，回傳是否成功 =====
+  function saveSettings() {
+    return storage
+      .saveSettings(settings)
+      .then(() => true)
+      .catch((err) => {
+        console.error("❌ 更新全域設定失敗", err);
+        return false;
+      });
+  }
+
+  // ===== 管理員權限 =====
+  // 指令宣告 admin 的只有管理員能用（見「指令」）；沒有任何管理員時誰都不能用，第一位管理員從 ADMIN_IDS 設定
+  function isAdmin(userId) {
+    return Boolean(userId) && settings.admins.includes(userId);
+  }
+
+  // ===== 提醒設定 =====
+  const WEEKDAY_KEYS = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+  const WEEKDAY_NAMES = { MON: "一", TUE: "二", WED: "三", THU: "四", FRI: "五", SAT: "六", SUN: "日" };
+
+  // "1.3.5" → "MON,WED,FRI"（1＝星期一 … 7＝星期日），有不是 1～7 的就回傳 null
+  function parseWeekdays(str) {
+    const dayMap = { "1": "MON", "2": "TUE", "3": "WED", "4": "THU", "5": "FRI", "6": "SAT", "7": "SUN" };
+    const days = str.split(".").map(d => dayMap[d]);
+    return days.includes(undefined) ? null : [...new Set(days)].join(",");
+  }
+
+  // "MON,WED" → "星期一、星期三"
+  function formatWeekdays(days) {
+    if (!days || days === "ALL") return "每天";
+    if (days === "NONE") return "已關閉";
+    return days.split(",").map(d => `星期${WEEKDAY_NAMES[d]}`).join("、");
+  }
+
+  // 判斷某個時間是否落在通知日（ALL / NONE / MON,TUE...）
+  function isNotifyDay(notifyDate, time) {
+    if (!notifyDate || notifyDate === "ALL") return true;
+    if (notifyDate === "NONE") return false;
+    return notifyDate.split(",").includes(WEEKDAY_KEYS[time.day()]);
+  }
+
+  const STAGE_GRACE_MIN = 2; // 「已重生」通知最多延遲幾分鐘還會發（避免重啟後補發舊通知）
+
+  // 取得該王的提醒階段（分鐘，由大到小；0＝重生當下），沒有個別設定就用全域提醒時間
+  function getRemindStages(b) {
+    return b.remind && b.remind.length > 0 ? b.remind : [settings.notifyBefore];
+  }
+
+  // "30.5.0" → [30, 5, 0]，格式不對回傳 null
+  function parseStages(str) {
+    const stages = str.split(/[.,]/).map(Number);
+    if (stages.some((n) => !Number.isInteger(n) || n < 0 || n > 1440)) return null;
+    return [...new Set(stages)].sort((a, b) => b - a);
+  }
+
+  function formatStages(stages) {
+    return stages.map((s) => (s === 0 ? "重生當下" : `前${s}分`)).join("、");
+  }
+
+  function formatHours(hours) {
+    const total = Math.round(hours * 60);
+    return `${Math.floor(total / 60)}小時${total % 60}分`;
+  }
+
+  function formatInterval(b) {
+    if (!b.interval) return "未設定";
+    return b.intervalMax > b.interval
+      ? `${formatHours(b.interval)}～${formatHours(b.intervalMax)}`
+      : formatHours(b.interval);
+  }
+
+  // 重生時段長度（分鐘）：有設定最長間隔的王會在 nextRespawn 之後的這段時間內出現
+  function respawnWindowMin(b) {
+    if (b.schedule) return 0;
+    return b.intervalMax > b.interval ? Math.round((b.intervalMax - b.interval) * 60) : 0;
+  }
+
+  // 預計重生時間："HH:mm" 或有時段的 "HH:mm～HH:mm"（超過一天的加上日期）
+  function formatRespawn(b) {
+    const resp = dayjs(b.nextRespawn).tz(settings.timezone);
+    const width = respawnWindowMin(b);
+    const start = resp.diff(currentTime(), "hour") >= 24 ? resp.format("MM/DD HH:mm") : resp.format("HH:mm");
+    return width > 0 ? `${start}～${resp.add(width, "minute").format("HH:mm")}` : start;
+  }
+
+  // "12:00,20:00" → ["12:00", "20:00"]，格式不對回傳 null
+  function parseScheduleTimes(str) {
+    const times = str.replace(/：/g, ":").split(/[,，、]/).map((t) => t.match(/^(\d{1,2}):(\d{2})$/));
+    if (times.some((t) => !t || parseInt(t[1], 10) > 23 || parseInt(t[2], 10) > 59)) return null;
+    return [...new Set(times.map((t) => `${t[1].padStart(2, "0")}:${t[2]}`))].sort();
+  }
+
+  // 定時王：找出 from 之後最近的一個出現時間
+  function nextScheduledTime(schedule, from) {
+    for (let d = 0; d <= 7; d++) {
+      const day = from.add(d, "day");
+      if (!isNotifyDay(schedule.days, day)) continue;
+
+      for (const t of schedule.times) {
+        const [h, m] = t.split(":").map(Number);
+        const time = day.hour(h).minute(m).second(0).millisecond(0);
+        if (time.isAfter(from)) return time;
+      }
+    }
+    return null;
+  }
+
+  function formatSchedule(schedule) {
+    return `${schedule.times.join("、")}（${formatWeekdays(schedule.days)}）`;
+  }
+
+  // 有設定間隔或定時才能算出重生時間
+  function hasRespawnRule(b) {
+    return Boolean(b.interval || b.schedule);
+  }
+
+  // 重生時間（有時段的王以時段結束為準）已過就依間隔往後推，並累加錯過次數，回傳這次推了幾輪
+  // 時段王錯過時視為在時段開頭就被打掉，下一輪時段一樣從「開頭＋最短間隔」起算
+  function rollRespawn(b, now) {
+    let resp = dayjs(b.nextRespawn).tz(settings.timezone);
+    const width = respawnWindowMin(b);
+    let missed = 0;
+
+    // 定時王照表出現，不算錯過，直接跳到下一個時間
+    if (b.schedule) {
+      const next = now.isAfter(resp) && nextScheduledTime(b.schedule, now);
+      if (!next) return 0;
+      b.nextRespawn = next.toISOString();
+      b.notified = [];
+      return 1;
+    }
+
+    while (now.isAfter(resp.add(width, "minute"))) {
+      resp = resp.add(b.interval, "hour");
+      missed++;
+    }
+
+    if (missed > 0) {
+      b.nextRespawn = resp.toISOString();
+      b.missedCount = (b.missedCount || 0) + missed;
+      b.notified = [];
+    }
+    return missed;
+  }
+
+  // ===== 沒人回報的王 =====
+  // 錯過次數是「連續幾輪沒人回報」，回報擊殺 / 重生就歸零，所以兩種狀態都會自動解除；定時王不算
+  function isUnconfirmed(b) {
+    return !b.schedule && (b.missedCount || 0) >= settings.unconfirmedAfter;
+  }
+
+  function isMuted(b) {
+    return !b.schedule && settings.muteAfter > 0 && (b.missedCount || 0) >= settings.muteAfter;
+  }
+
+  // 只看不改：回傳推到目前這一輪的副本（/王 顯示用，真正的推進交給背景維護）
+  function currentCycle(b, now) {
+    if (!b.nextRespawn || !hasRespawnRule(b)) return b;
+    const copy = structuredClone(b);
+    rollRespawn(copy, now);
+    return copy;
+  }
+
+  // ===== 王的重生狀態（/王 用）=====
+  const SOON_MIN = 10; // 幾分鐘內重生算「快重生了」
+
+  // 依剩餘時間排序的狀態清單
+  // level：window 時段中 / muted 已停提醒 / unconfirmed 未確認 / soon 快重生 / missed 有錯過 / normal / unset 未設定
+  function buildBossStatus(bossData, now) {
+    return Object.keys(bossData)
+      .map((name) => {
+        const b = currentCycle(bossData[name], now);
+        const base = {
+          name,
+          category: b.category,
+          missedCount: b.missedCount || 0,
+          unconfirmed: isUnconfirmed(b),
+          muted: isMuted(b),
+        };
+        if (!b.nextRespawn || !hasRespawnRule(b)) {
+          return { ...base, level: "unset", remain: "未設定", time: "-", sortMin: Infinity };
+        }
+
+        const resp = dayjs(b.nextRespawn).tz(settings.timezone);
+        const diffMin = resp.diff(now, "minute");
+        const time = formatRespawn(b);
+
+        // 時段王已進入重生時段
+        if (diffMin < 0) return { ...base, level: "window", remain: "重生時段中", time, sortMin: diffMin };
+
+        let level = "normal";
+        if (base.muted) level = "muted";
+        else if (base.unconfirmed) level = "unconfirmed";
+        else if (diffMin <= SOON_MIN) level = "soon";
+        else if (base.missedCount > 0) level = "missed";
+        const remain = `${Math.floor(diffMin / 60)}小時${diffMin % 60}分`;
+        return { ...base, level, remain, time, sortMin: diffMin };
+      })
+      .sort((a, b) => a.sortMin - b.sortMin);
+  }
+
+  // /王 的篩選：過＝有錯過、數字＝幾分鐘內重生、分類名稱；都不是回傳 null（當成王名）
+  function filterBossStatus(items, bossData, arg) {
+    if (arg === "過") return { title: "有錯過的王", items: items.filter((i) => i.missedCount > 0) };
+
+    if (/^\d+$/.test(arg)) {
+      const minutes = parseInt(arg, 10);
+      return {
+        title: `${minutes} 分鐘內重生的王`,
+        items: items.filter((i) => i.level !== "unset" && i.sortMin <= minutes),
+      };
+    }
+
+    const categories = new Set(Object.values(bossData).map((b) => b.category).filter(Boolean));
+    if (categories.has(arg)) return { title: `分類「${arg}」`, items: items.filter((i) => i.category === arg) };
+
+    return null;
+  }
+
+  // /王 王名：單隻王的詳細資料
+  function formatBossDetail(name, b, item) {
+    const lines = [`🔹 ${name}${b.category ? `（${b.category}）` : ""}`];
+    if (item.level === "unset") lines.push("　重生：尚未設定");
+    else if (item.level === "window") lines.push(`　重生：重生時段中（預計 ${item.time}）`);
+    else lines.push(`　重生：剩餘 ${item.remain}（預計 ${item.time}）`);
+
+    lines.push(b.schedule ? `　定時：${formatSchedule(b.schedule)}` : `　間隔：${formatInterval(b)}`);
+    lines.push(`　通知：${formatWeekdays(b.notifyDate)}`);
+    lines.push(`　提醒：${formatStages(getRemindStages(b))}`);
+    if (!b.schedule) {
+      const lastKill = b.lastKill ? dayjs(b.lastKill).tz(settings.timezone).format("MM/DD HH:mm") : "無紀錄";
+      lines.push(`　上次擊殺：${lastKill}`);
+    }
+    if (item.missedCount > 0) lines.push(`　錯過：${item.missedCount} 次`);
+    if (item.muted) lines.push("　狀態：🔕 太久沒人回報，已暫停提醒（回報後恢復）");
+    else if (item.unconfirmed) lines.push("　狀態：❔ 未確認，重生時間只是推算（回報後恢復）");
+    if (b.aliases?.length > 0) lines.push(`　別名：${b.aliases.join("、")}`);
+    return lines.join("\n");
+  }
+
+  function formatBossStatusText(items) {
+    return items
+      .map((item) => {
+        const cycleText = item.missedCount > 0 ? ` 過${item.missedCount}` : "";
+        if (item.level === "unset") return `❌ ${item.name} 尚未設定重生時間`;
+        if (item.level === "window") return `🔥 ${item.name} 重生時段中（預計 ${item.time}）${cycleText}`;
+        const icon = item.muted ? "🔕" : item.unconfirmed ? "❔" : item.missedCount > 0 ? "⚠️" : "⚔️";
+        return `${icon} ${item.name} 剩餘 ${item.remain}（預計 ${item.time}）${cycleText}`;
+      })
+      .join("\n");
+  }
+
+  // ===== 王名解析（名稱、別名、開頭、近似）=====
+  function normalizeName(str) {
+    return str.trim().toLowerCase();
+  }
+
+  function editDistance(a, b) {
+    const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + cost);
+      }
+    }
+    return dp[a.length][b.length];
+  }
+
+  // 依序比對：完整名稱 → 別名 → 名稱/別名的開頭 → 打錯一兩個字
+  // exact：只認完整名稱或別名（新增、刪除王時用，避免「/設定 冰 2.00」改到「冰女」）
+  // 回傳 { name, candidates }：找到唯一的王時 name 有值；有歧義時 candidates 列出多個候選
+  function resolveBossName(table, input, { exact = false } = {}) {
+    if (table[input]) return { name: input, candidates: [input] };
+
+    const key = normalizeName(input);
+    const entries = Object.entries(table).map(([name, b]) => [
+      name,
+      [name, ...(b.aliases || [])].map(normalizeName),
+    ]);
+    const pick = (matches) => {
+      const names = matches.map(([name]) => name);
+      return { name: names.length === 1 ? names[0] : null, candidates: names };
+    };
+
+    const byLabel = entries.filter(([, labels]) => labels.includes(key));
+    if (byLabel.length > 0 || exact) return pick(byLabel);
+
+    const byPrefix = entries.filter(([, labels]) => labels.some((l) => l.startsWith(key)));
+    if (byPrefix.length > 0) return pick(byPrefix);
+
+    // 名稱太短時不猜，避免「火女」被當成「冰女」
+    const maxDist = key.length >= 4 ? 2 : key.length >= 3 ? 1 : 0;
+    if (maxDist === 0) return { name: null, candidates: [] };
+    const byTypo = entries.filter(([, labels]) => labels.some((l) => editDistance(l, key) <= maxDist));
+    return pick(byTypo);
+  }
+
+  // 登記一隻王的剩餘重生時間（只改記憶體，由呼叫端存檔）
+  // 成功回傳 { name, missed }（missed＝登記前累積的錯過次數，給紀錄用）；失敗回傳 { error }，王名有歧義時另附 candidates
+  function registerRespawn(bossData, input, remainStr, now) {
+    const found = resolveBossName(bossData, input);
+    if (found.candidates.length > 1) {
+      return { error: `「${input}」符合多個王：${found.candidates.join("、")}`, candidates: found.candidates };
+    }
+
+    const name = found.name || input;
+    const b = bossData[name];
+    if (b?.schedule) return { error: `⏰ ${name} 是定時王，不用登記，下次 ${formatRespawn(b)} 重生` };
+    if (!b || !b.interval) return { error: `請先用 /設定 ${name} 間隔(小時.分)` };
+
+    const remain = parseHourMin(remainStr);
+    if (!remain) return { error: `${name} 的剩餘時間格式錯誤：${remainStr}（小時.分，例如 1.20）` };
+
+    const resp = now.add(remain.h, "hour").add(remain.m, "minute");
+    const missed = b.missedCount || 0;
+    b.nextRespawn = resp.toISOString();
+    // 由剩餘時間回推的擊殺時間；剩餘比間隔還長（例如打錯字）就推不出來，當作不知道
+    const lastKill = resp.subtract(b.interval, "hour");
+    b.lastKill = lastKill.isAfter(now) ? null : lastKill.toISOString();
+    b.notified = [];
+    b.missedCount = 0;
+    return { name, missed };
+  }
+
+  // 登記擊殺（/殺 與「剛擊殺」按鈕共用），回傳格式同 registerRespawn
+  function registerKill(bossData, input, timeStr, now) {
+    const found = resolveBossName(bossData, input);
+    if (found.candidates.length > 1) {
+      return { error: `「${input}」符合多個王：${found.candidates.join("、")}`, candidates: found.candidates };
+    }
+
+    const name = found.name || input;
+    const b = bossData[name];
+    if (b?.schedule) return { error: `⏰ ${name} 是定時王，不用登記，下次 ${formatRespawn(b)} 重生` };
+    if (!b || !b.interval) return { error: `請先用 /設定 ${name} 間隔(小時.分)` };
+
+    const killTime = parseKillTime(timeStr, now);
+    if (killTime === undefined) return { error: `❌ 擊殺時間最多只能往前 ${MAX_KILL_AGO_MIN} 分鐘` };
+    if (!killTime) return { error: "❌ 擊殺時間格式錯誤，例如 /殺 王名、/殺 王名 14:32、/殺 王名 -15" };
+
+    const missed = b.missedCount || 0;
+    b.nextRespawn = killTime.add(b.interval, "hour").toISOString();
+    b.lastKill = killTime.toISOString();
+    b.notified = [];
+    // 殺得比較久才回報、重生時間已經過了：直接推到目前這一輪，剛回報過就不算錯過
+    rollRespawn(b, now);
+    b.missedCount = 0;
+    return { name, missed };
+  }
+
+  async function replyCandidates(event, input, candidates) {
+    await client.replyMessage(event.replyToken, {
+      type: "text",
+      text: `❓ 「${input}」符合多個王，請輸入完整名稱：\n${candidates.map((n) => `・${n}`).join("\n")}`,
+    });
+  }
+
+  // 擊殺時間：省略＝現在；HH:mm＝今天該時刻（比現在晚超過 KILL_CLOCK_SKEW_MIN 分鐘就當作昨天，幾分鐘內當作現在）；
+  // -N＝N 分鐘前（最多 MAX_KILL_AGO_MIN）。格式錯誤回傳 null，超過範圍回傳 undefined
+  const KILL_CLOCK_SKEW_MIN = 5; // 玩家的手錶可能比伺服器快幾分鐘
+  const MAX_KILL_AGO_MIN = 1440;
+
+  function parseKillTime(str, now) {
+    if (!str) return now;
+
+    const ago = str.match(/^-(\d+)$/);
+    if (ago) {
+      const minutes = parseInt(ago[1], 10);
+      return minutes > MAX_KILL_AGO_MIN ? undefined : now.subtract(minutes, "minute");
+    }
+
+    const clock = str.replace("：", ":").match(/^(\d{1,2}):(\d{2})$/);
+    if (!clock) return null;
+    const h = parseInt(clock[1], 10);
+    const m = parseInt(clock[2], 10);
+    if (h > 23 || m > 59) return null;
+
+    let time = now.hour(h).minute(m).second(0).millisecond(0);
+    if (time.isAfter(now.add(KILL_CLOCK_SKEW_MIN, "minute"))) time = time.subtract(1, "day"); // 過午夜才回報 → 是昨天殺的
+    else if (time.isAfter(now)) time = now;
+    return time;
+  }
+
+  // ===== 載入所有群組的王資料 =====
+  const savedScopes = new Set(); // 已經有存檔的群組
+
+  async function loadBossData() {
+    try {
+      // 舊版只有一張表，交給 LEGACY_BOSS_OWNER 指定的群組（沒設定就先不動）
+      bossTables = await storage.loadBossTables({ legacyOwner: env.LEGACY_BOSS_OWNER?.trim() || null });
+
+      let total = 0;
+      for (const [scopeId, table] of Object.entries(bossTables)) {
+        savedScopes.add(scopeId);
+        for (const [name, b] of Object.entries(table)) {
+          // 舊版 notified 只有 TRUE/FALSE：TRUE 視為這一輪的提醒都發過了
+          if (b.notified === true) b.notified = [...getRemindStages(b)];
+          // 定時欄被手動改壞（沒有時間、星期是 NONE…）就永遠排不出下一次，當作沒設定定時
+          if (b.schedule && !nextScheduledTime(b.schedule, currentTime())) {
+            console.warn(`⚠️ ${scopeId} 的 ${name} 定時設定無效（${b.schedule.times.join(",")} / ${b.schedule.days}），略過定時`);
+            b.schedule = null;
+          }
+          total++;
+        }
+        lastSaved[scopeId] = structuredClone(table);
+      }
+      console.log(`✅ 已載入王資料 (${savedScopes.size} 個群組，${total} 筆)`);
+    } catch (err) {
+      console.error("❌ 無法載入王資料", err);
+    }
+  }
+
+  // ===== 製作配方 =====
+  // 內建配方（recipes/）加上儲存裡的配方，同名時以儲存的為準
+  let recipes = new Map(); // 名稱或別名 → 配方
+
+  async function loadRecipes() {
+    const loaded = new Map();
+    let defs = await loadBuiltinRecipes();
+    try {
+      defs = [...defs, ...(await storage.loadRecipes())];
+    } catch (err) {
+      console.error("❌ 無法載入自訂配方，只使用內建配方", err);
+    }
+
+    for (const def of defs) {
+      try {
+        const recipe = createRecipe(def);
+        for (const key of [recipe.name, ...recipe.aliases]) loaded.set(key, recipe);
+      } catch (err) {
+        console.warn(`⚠️ 略過配方：${err.message}`);
+      }
+    }
+    recipes = loaded;
+    console.log(`✅ 已載入配方 (${new Set(loaded.values()).size} 個)`);
+  }
+
+  // ===== 使用者材料 =====
+  // 每個 LINE userId 一份（材料、已有的書、目前失敗次數），所有配方共用；key 用「物品」或「物品失敗」
+  let inventories = {}; // userId → { 材料: 數量 }
+
+  async function loadInventories() {
+    try {
+      inventories = await storage.loadInventories();
+      console.log(`✅ 已載入材料 (${Object.keys(inventories).length} 位使用者)`);
+    } catch (err) {
+      console.error("❌ 無法載入材料", err);
+    }
+  }
+
+  async function saveInventory(userId) {
+    try {
+      await storage.saveInventory(userId, inventories[userId]);
+    } catch (err) {
+      console.error("❌ 儲存材料失敗", err);
+    }
+  }
+
+  // 依配方裡的順序列出（不在任何配方裡的放最後）
+  function sortedMaterials(inventory) {
+    const order = [...new Set([...recipes.values()].flatMap((r) => r.inputs))];
+    const rank = (key) => (order.includes(key) ? order.indexOf(key) : order.length);
+    return Object.keys(inventory).sort((a, b) => rank(a) - rank(b));
+  }
+
+  // ===== 復原紀錄 =====
+  // 每個群組記住最近幾次指令改動前的王資料（只存在記憶體，重啟後清空）
+  // lastSaved 是上次存檔時的內容，存檔時和目前內容比對就知道這次改了哪些王
+  const UNDO_LIMIT = 10;
+  const undoStacks = {}; // scopeId → [{ label, changes: { 王名: 改動前的資料或 null（原本沒有）}, history: [這次寫入的紀錄] }]
+  const lastSaved = {}; // scopeId → 上次存檔時的王表
+
+  function pushUndo(scopeId, label) {
+    const before = lastSaved[scopeId] || {};
+    const table = getBossTable(scopeId);
+    const changes = {};
+    for (const name of new Set([...Object.keys(before), ...Object.keys(table)])) {
+      if (JSON.stringify(before[name]) !== JSON.stringify(table[name])) changes[name] = before[name] ?? null;
+    }
+    if (Object.keys(changes).length === 0) return null;
+
+    const stack = (undoStacks[scopeId] ||= []);
+    const undo = { label, changes, history: [] };
+    stack.push(undo);
+    if (stack.length > UNDO_LIMIT) stack.shift();
+    return undo;
+  }
+
+  // ===== 儲存某個群組的王資料 =====
+  // undoLabel：使用者指令造成的改動要帶上指令名稱，才能 /復原（提醒排程的自動更新不用）
+  // 回傳這次的復原紀錄（沒有就是 null），交給 recordHistory 記下寫了哪些擊殺紀錄
+  async function saveBossData(scopeId, undoLabel) {
+    const undo = undoLabel ? pushUndo(scopeId, undoLabel) : null;
+    lastSaved[scopeId] = structuredClone(getBossTable(scopeId));
+
+    // 第一次存這個群組的表 → 預設把該群組加入推播對象
+    if (!savedScopes.has(scopeId)) {
+      savedScopes.add(scopeId);
+      if (!settings.notifyTargets.includes(scopeId)) {
+        settings.notifyTargets.push(scopeId);
+        await saveSettings();
+      }
+    }
+
+    try {
+      await storage.saveBossTable(scopeId, getBossTable(scopeId));
+    } catch (err) {
+      console.error("❌ 儲存王資料失敗", err);
+    }
+    return undo;
+  }
+
+  // ===== 擊殺紀錄 =====
+  const HISTORY_ACTIONS = { kill: "擊殺", respawn: "重生登記", skip: "沒出" };
+  const HISTORY_SHOW = 10; // /紀錄 顯示最近幾筆
+
+  // 回報者的顯示名稱（群組 / 聊天室要用成員 API，對方沒加好友也拿得到）
+  // 名稱會快取一段時間，避免每個指令都查一次 LINE
+  const NAME_CACHE_MS = 6 * 60 * 60 * 1000;
+  const displayNames = new Map(); // userId → { name, expires }
+
+  async function getDisplayName(source) {
+    if (!source.userId) return "";
+    const cached = displayNames.get(source.userId);
+    if (cached && cached.expires > clock().getTime()) return cached.name;
+
+    try {
+      const profile = source.groupId
+        ? await client.getGroupMemberProfile(source.groupId, source.userId)
+        : source.roomId
+          ? await client.getRoomMemberProfile(source.roomId, source.userId)
+          : await client.getProfile(source.userId);
+      displayNames.set(source.userId, { name: profile.displayName, expires: clock().getTime() + NAME_CACHE_MS });
+      return profile.displayName;
+    } catch (err) {
+      console.warn("⚠️ 無法取得使用者名稱", err.message);
+      return "";
+    }
+  }
+  // 回覆開頭的「誰」：「小明 」，查不到名稱就空字串
+  async function actor(source) {
+    const name = await getDisplayName(source);
+    return name ? `${name} ` : "";
+  }
+
+  // 把這次登記的王寫進紀錄（失敗只記 log，不影響回覆）
+  // records: [{ name, action, missed }]
+  // undo：同一個指令 saveBossData 回傳的復原紀錄，/復原 時才知道要作廢哪幾筆
+  async function recordHistory(event, scopeId, command, records, undo) {
+    if (records.length === 0) return;
+    const bossData = getBossTable(scopeId);
+    const displayName = await getDisplayName(event.source);
+    const time = currentTime().toISOString();
+
+    const entries = records.map(({ name, action, missed }) => ({
+      time,
+      scopeId,
+      boss: name,
+      action,
+      killTime: action === "skip" ? null : bossData[name].lastKill,
+      nextRespawn: bossData[name].nextRespawn,
+      missed: missed || 0,
+      userId: event.source.userId || "",
+      displayName,
+      command,
+    }));
+    if (undo) undo.history.push(...entries);
+
+    try {
+      await storage.appendHistory(entries);
+    } catch (err) {
+      console.error("❌ 寫入擊殺紀錄失敗", err);
+    }
+  }
+
+  // 紀錄只往下新增，/復原 時另外寫一筆 undo 指向被作廢的那筆（同一隻王、同一個寫入時間）
+  async function revokeHistory(event, scopeId, entries) {
+    if (entries.length === 0) return;
+    const displayName = await getDisplayName(event.source);
+    const time = currentTime().toISOString();
+    const marks = entries.map((e) => ({
+      time,
+      scopeId,
+      boss: e.boss,
+      action: "undo",
+      undoes: e.time,
+      userId: event.source.userId || "",
+      displayName,
+      command: "/復原",
+    }));
+
+    try {
+      await storage.appendHistory(marks);
+    } catch (err) {
+      console.error("❌ 寫入擊殺紀錄失敗", err);
+    }
+  }
+
+  // 讀取某個群組的紀錄，去掉已被 /復原 作廢的
+  async function loadScopeHistory(scopeId) {
+    let entries;
+    try {
+      entries = await storage.loadHistory(scopeId);
+    } catch (err) {
+      console.error("❌ 讀取擊殺紀錄失敗", err);
+      return [];
+    }
+    // 同一個時間可能有好幾筆（時鐘精度），復原是一層一層往回，所以作廢的是在它之前最後一筆還沒作廢的
+    const kept = [];
+    for (const e of entries) {
+      if (e.action !== "undo") {
+        kept.push(e);
+        continue;
+      }
+      const i = kept.findLastIndex((k) => k.boss === e.boss && k.time === e.undoes);
+      if (i >= 0) kept.splice(i, 1);
+    }
+    return kept;
+  }
+
+  function formatHistoryEntry(e) {
+    const time = dayjs(e.killTime || e.time).tz(settings.timezone).format("MM/DD HH:mm");
+    const who = [e.displayName || "未知", e.command].filter(Boolean).join("，");
+    const missed = e.missed > 0 ? ` 過${e.missed}` : "";
+    return `・${time} ${e.boss} ${HISTORY_ACTIONS[e.action] || e.action}${missed}（${who}）`;
+  }
+
+  // 依擊殺紀錄統計：擊殺次數、錯過輪數、實測平均間隔（兩次擊殺相隔時間 ÷ 中間經過的輪數）
+  function historyStats(entries, b) {
+    const kills = entries
+      .filter((e) => e.action !== "skip" && e.killTime)
+      .sort((x, y) => dayjs(x.killTime).valueOf() - dayjs(y.killTime).valueOf());
+
+    let totalHours = 0;
+    let cycles = 0;
+    for (let i = 1; i < kills.length; i++) {
+      const hours = dayjs(kills[i].killTime).diff(dayjs(kills[i - 1].killTime), "minute") / 60;
+      if (hours <= 0) continue;
+      totalHours += hours;
+      cycles += 1 + kills[i].missed;
+    }
+
+    return {
+      kills: kills.length,
+      missed: kills.reduce((sum, e) => sum + e.missed, 0) + (b?.missedCount || 0),
+      avgInterval: cycles > 0 ? totalHours / cycles : null,
+    };
+  }
+
+  function formatBossStats(name, stats, b) {
+    const lines = [`🔹 ${name}`, `　擊殺：${stats.kills} 次`, `　錯過：${stats.missed} 輪`];
+    if (stats.avgInterval !== null) {
+      const configured = b?.interval ? `（設定 ${formatInterval(b)}）` : "";
+      lines.push(`　實測平均間隔：${formatHours(stats.avgInterval)}${configured}`);
+    }
+    return lines.join("\n");
+  }
+
+  // ===== 指令 =====
+  // 每個指令宣告名稱、參數與權限，由 router.js 統一解析、檢查參數並產生用法提示與 /幫助
+  // run(ctx)：ctx = { event, scopeId, bossData, name（實際輸入的指令名）, values（轉換後的參數）, tokens（原始參數）, text, reply }
+
+  // 王名解析有歧義時回覆候選名單，沒歧義回傳名稱（找不到就原樣回傳輸入）
+  async function resolveOrAsk(ctx, input, options) {
+    const found = resolveBossName(ctx.bossData, input, options);
+    if (found.candidates.length > 1) {
+      await replyCandidates(ctx.event, input, found.candidates);
+      return null;
+    }
+    return found.name || input;
+  }
+
+  // /開啟通知 /關閉通知
+  async function setNotifyAll(ctx, on) {
+    settings.notifyAll = on;
+    if (!(await saveSettings())) {
+      await ctx.reply("❌ 更新總通知開關失敗，請稍後再試");
+      return;
+    }
+
+    await ctx.reply(
+      settings.notifyAll
+        ? `✅ 已全域開啟前${settings.notifyBefore}分鐘通知`
+        : `❌ 已全域關閉前${settings.notifyBefore}分鐘通知`
+    );
+    console.log(`📌 已更新總通知開關為：${settings.notifyAll ? "開啟" : "關閉"}`);
+  }
+
+  const HELP_SECTIONS = [
+    { key: "boss", title: "🧩 基本功能：" },
+    { key: "notify", title: "📅 通知相關：" },
+    { key: "category", title: "🗂 分類管理：" },
+    { key: "admin", title: "👑 管理員：" },
+    { key: "craft", title: "🧪 材料計算：" },
+    { key: "other", title: "ℹ️ 其他：" },
+  ];
+
+  const commands = [
+    // ===== 基本功能 =====
+    {
+      names: ["/設定"],
+      args: [
+        { key: "name", label: "王名" },
+        { key: "min", label: "間隔(小時.分)", type: "hourMin" },
+        { key: "max", label: "最長間隔", type: "hourMin", optional: true },
+      ],
+      admin: true,
+      section: "boss",
+      summary: "設定王的重生間隔",
+      details: ["例如 /設定 王名 3.00 3.30＝3小時～3小時30分內重生"],
+      async run(ctx) {
+        const { bossData } = ctx;
+        const { min, max } = ctx.values;
+        const name = await resolveOrAsk(ctx, ctx.values.name, { exact: true });
+        if (!name) return;
+        if (max && max.h * 60 + max.m < min.h * 60 + min.m) {
+          await ctx.reply("❌ 最長間隔不可小於最短間隔，例如 /設定 王名 3.00 3.30");
+          return;
+        }
+
+        bossData[name] = bossData[name] || {};
+        bossData[name].interval = min.h + min.m / 60;
+        bossData[name].intervalMax = max ? max.h + max.m / 60 : 0;
+        bossData[name].schedule = null; // 改回依間隔重生
+        bossData[name].nextRespawn = bossData[name].nextRespawn || null;
+        bossData[name].notified = bossData[name].notified || [];
+        bossData[name].notifyDate = bossData[name].notifyDate || "ALL";
+        bossData[name].missedCount = bossData[name].missedCount || 0;
+        await saveBossData(ctx.scopeId, "/設定");
+        await ctx.reply(`✅ 已設定 ${name} 重生間隔 ${formatInterval(bossData[name])}`);
+      },
+    },
+    {
+      names: ["/重生"],
+      args: [
+        { key: "name", label: "王名" },
+        { key: "remain", label: "剩餘時間(小時.分)" },
+      ],
+      raw: true,
+      section: "boss",
+      summary: "登記王的下次重生時間",
+      details: ["可一次登記多隻：/重生 後換行，每行「王名 時間」"],
+      async run(ctx) {
+        const { bossData, tokens } = ctx;
+        if (tokens.length === 0) {
+          await ctx.reply(router.usageText(router.find("/重生"), "缺少「王名」"));
+          return;
+        }
+        if (tokens.length === 2) {
+          const [input, remainStr] = tokens;
+          const result = registerRespawn(bossData, input, remainStr, currentTime());
+          if (result.candidates) {
+            await replyCandidates(ctx.event, input, result.candidates);
+            return;
+          }
+          if (result.error) {
+            await ctx.reply(result.error);
+            return;
+          }
+          const undo = await saveBossData(ctx.scopeId, "/重生");
+          await recordHistory(ctx.event, ctx.scopeId, "/重生", [{ ...result, action: "respawn" }], undo);
+          const who = await actor(ctx.event.source);
+          await ctx.reply(`🕒 ${who}已設定 ${result.name} 將於 ${formatRespawn(bossData[result.name])} 重生`);
+          return;
+        }
+
+        // 後面接多組「王名 剩餘時間」（可換行或同一行），一次登記
+        const [firstLine, ...lines] = ctx.text.split("\n");
+        const pairs = [];
+
+        // 第一行的 /重生 後面也可以直接接王名與時間，每兩個一組
+        const first = firstLine.trim().split(/\s+/).slice(1);
+        for (let i = 0; i < first.length; i += 2) pairs.push(first.slice(i, i + 2));
+        for (const line of lines.map((l) => l.trim()).filter(Boolean)) pairs.push(line.split(/\s+/));
+
+        const now = currentTime();
+        const done = [];
+        const failed = [];
+        const records = [];
+        for (const pair of pairs) {
+          if (pair.length !== 2) {
+            failed.push(`${pair.join(" ")}：格式應為「王名 剩餘時間」`);
+            continue;
+          }
+          const result = registerRespawn(bossData, pair[0], pair[1], now);
+          if (result.error) {
+            failed.push(result.error);
+            continue;
+          }
+          done.push(`${result.name} → ${formatRespawn(bossData[result.name])}`);
+          records.push({ ...result, action: "respawn" });
+        }
+
+        if (done.length > 0) {
+          const undo = await saveBossData(ctx.scopeId, "/重生");
+          await recordHistory(ctx.event, ctx.scopeId, "/重生", records, undo);
+        }
+
+        let reply = `🕒 ${await actor(ctx.event.source)}已登記 ${done.length} 隻王`;
+        if (done.length > 0) reply += `\n${done.map((d) => `・${d}`).join("\n")}`;
+        if (failed.length > 0) reply += `\n❌ 失敗 ${failed.length} 筆\n${failed.map((f) => `・${f}`).join("\n")}`;
+        await ctx.reply(reply);
+      },
+    },
+    {
+      names: ["/殺"],
+      args: [
+        { key: "name", label: "王名" },
+        { key: "time", label: "時間", optional: true },
+      ],
+      section: "boss",
+      summary: "登記擊殺，自動加上間隔算出重生時間",
+      details: ["省略＝剛剛、14:32＝幾點幾分、-15＝15分鐘前"],
+      async run(ctx) {
+        const { name: input, time } = ctx.values;
+        const result = registerKill(ctx.bossData, input, time, currentTime());
+        if (result.candidates) {
+          await replyCandidates(ctx.event, input, result.candidates);
+          return;
+        }
+        if (result.error) {
+          await ctx.reply(result.error);
+          return;
+        }
+        const undo = await saveBossData(ctx.scopeId, "/殺");
+        await recordHistory(ctx.event, ctx.scopeId, "/殺", [{ ...result, action: "kill" }], undo);
+        const who = await actor(ctx.event.source);
+        await ctx.reply(`🕒 ${who}已設定 ${result.name} 將於 ${formatRespawn(ctx.bossData[result.name])} 重生`);
+      },
+    },
+    {
+      names: ["/定時"],
+      args: [
+        { key: "name", label: "王名" },
+        { key: "times", label: "時間,時間" },
+        { key: "days", label: "星期(1.3.5)", optional: true },
+      ],
+      admin: true,
+      section: "boss",
+      summary: "固定時間出現的王，例如 /定時 王名 12:00,20:00",
+      details: ["用 /設定 可改回依間隔重生"],
+      async run(ctx) {
+        const { bossData } = ctx;
+        const name = await resolveOrAsk(ctx, ctx.values.name, { exact: true });
+        if (!name) return;
+        const times = parseScheduleTimes(ctx.values.times);
+        if (!times) {
+          await ctx.reply("❌ 時間格式錯誤，例如 /定時 王名 12:00,20:00 或 /定時 王名 21:00 6");
+          return;
+        }
+        const { days: daysStr } = ctx.values;
+        const days = daysStr && daysStr !== "9" ? parseWeekdays(daysStr) : "ALL";
+        if (!days) {
+          await ctx.reply(router.usageText(router.find("/定時"), `「星期」格式錯誤：${daysStr}（1～7，例如 1.3.5；9＝每天）`));
+          return;
+        }
+        const schedule = { times, days };
+
+        bossData[name] = bossData[name] || {};
+        bossData[name].schedule = schedule;
+        bossData[name].interval = bossData[name].interval || 0;
+        bossData[name].nextRespawn = nextScheduledTime(schedule, currentTime()).toISOString();
+        bossData[name].notified = [];
+        bossData[name].notifyDate = bossData[name].notifyDate || "ALL";
+        bossData[name].missedCount = 0;
+        await saveBossData(ctx.scopeId, "/定時");
+        const next = dayjs(bossData[name].nextRespawn).tz(settings.timezone).format("MM/DD HH:mm");
+        await ctx.reply(`✅ 已設定 ${name} 定時重生 ${formatSchedule(schedule)}\n🕒 下次：${next}`);
+      },
+    },
+    {
+      names: ["/刪除"],
+      args: [{ key: "name", label: "王名" }],
+      admin: true,
+      section: "boss",
+      summary: "刪除該王資料",
+      async run(ctx) {
+        const name = await resolveOrAsk(ctx, ctx.values.name, { exact: true });
+        if (!name) return;
+        if (!ctx.bossData[name]) {
+          await ctx.reply(`${name} 不存在`);
+          return;
+        }
+        delete ctx.bossData[name];
+        await saveBossData(ctx.scopeId, "/刪除");
+        await ctx.reply(`🗑 ${await actor(ctx.event.source)}已刪除 ${name}`);
+      },
+    },
+    {
+      names: ["/復原"],
+      section: "boss",
+      summary: "還原上一個改動王資料的指令（可連續復原）",
+      async run(ctx) {
+        const { bossData } = ctx;
+        const stack = undoStacks[ctx.scopeId] || [];
+        const last = stack[stack.length - 1];
+        if (!last) {
+          await ctx.reply("沒有可以復原的改動");
+          return;
+        }
+        // 管理員指令的改動也只有管理員能復原
+        const source = router.find(last.label);
+        if (source && router.requiresAdmin(source) && !isAdmin(ctx.event.source.userId)) {
+          await ctx.reply(`🔒 上一個改動是 ${last.label}，只有管理員可以復原`);
+          return;
+        }
+
+        stack.pop();
+        const restored = Object.entries(last.changes).map(([name, prev]) => {
+          if (!prev) {
+            delete bossData[name];
+            return `・${name}：已移除`;
+          }
+          bossData[name] = prev;
+          const resp = prev.nextRespawn && hasRespawnRule(prev) ? `，${formatRespawn(prev)} 重生` : "";
+          return `・${name}：已還原${resp}`;
+        });
+        await saveBossData(ctx.scopeId);
+        await revokeHistory(ctx.event, ctx.scopeId, last.history);
+        await ctx.reply(`↩️ 已復原「${last.label}」\n${restored.join("\n")}`);
+      },
+    },
+    {
+      names: ["/別名"],
+      args: [
+        { key: "name", label: "王名" },
+        { key: "aliases", label: "別名", rest: true },
+      ],
+      section: "boss",
+      summary: "幫王加上別名（清除＝移除所有別名）",
+      details: ["所有指令的王名都可用別名、開頭或相近的字"],
+      async run(ctx) {
+        const { bossData } = ctx;
+        const { aliases } = ctx.values;
+        const name = await resolveOrAsk(ctx, ctx.values.name);
+        if (!name) return;
+        if (!bossData[name]) {
+          await ctx.reply(`${name} 不存在`);
+          return;
+        }
+
+        if (aliases.length === 1 && aliases[0] === "清除") {
+          bossData[name].aliases = [];
+          await saveBossData(ctx.scopeId, "/別名");
+          await ctx.reply(`✅ 已清除 ${name} 的別名`);
+          return;
+        }
+
+        // 別名不能和其他王的名稱或別名重複
+        const added = [];
+        const rejected = [];
+        for (const alias of aliases) {
+          const owner = Object.keys(bossData).find(
+            (other) => other !== name && (other === alias || (bossData[other].aliases || []).includes(alias))
+          );
+          if (owner || alias === name) rejected.push(owner ? `${alias}（已是 ${owner}）` : alias);
+          else added.push(alias);
+        }
+
+        bossData[name].aliases = [...new Set([...(bossData[name].aliases || []), ...added])];
+        await saveBossData(ctx.scopeId, "/別名");
+
+        let reply = `✅ ${name} 的別名：${bossData[name].aliases.join("、") || "（無）"}`;
+        if (rejected.length > 0) reply += `\n⚠️ 略過：${rejected.join("、")}`;
+        await ctx.reply(reply);
+      },
+    },
+    {
+      names: ["/紀錄"],
+      args: [{ key: "name", label: "王名", optional: true }],
+      section: "boss",
+      summary: "最近的擊殺 / 重生登記與回報者",
+      async run(ctx) {
+        let name = null;
+        if (ctx.values.name) {
+          name = await resolveOrAsk(ctx, ctx.values.name);
+          if (!name) return;
+        }
+
+        const entries = (await loadScopeHistory(ctx.scopeId)).filter((e) => !name || e.boss === name);
+        const label = name ? `${name} ` : "";
+        if (entries.length === 0) {
+          await ctx.reply(`📜 ${label}尚無擊殺紀錄`);
+          return;
+        }
+
+        const recent = entries.slice(-HISTORY_SHOW).reverse();
+        await ctx.reply(
+          `📜 ${label}最近 ${recent.length} 筆紀錄（共 ${entries.length} 筆）\n${recent.map(formatHistoryEntry).join("\n")}`
+        );
+      },
+    },
+    {
+      names: ["/統計"],
+      args: [{ key: "name", label: "王名", optional: true }],
+      section: "boss",
+      summary: "擊殺次數、錯過輪數、實測平均間隔",
+      async run(ctx) {
+        const { bossData } = ctx;
+        let names;
+        if (ctx.values.name) {
+          const name = await resolveOrAsk(ctx, ctx.values.name);
+          if (!name) return;
+          names = [name];
+        }
+
+        const entries = await loadScopeHistory(ctx.scopeId);
+        names = names || [...new Set(entries.map((e) => e.boss))];
+        const blocks = names
+          .map((name) => ({ name, stats: historyStats(entries.filter((e) => e.boss === name), bossData[name]) }))
+          .filter(({ stats }) => stats.kills > 0)
+          .map(({ name, stats }) => formatBossStats(name, stats, bossData[name]));
+
+        await ctx.reply(blocks.length > 0 ? `📊 擊殺統計\n${blocks.join("\n")}` : "📊 尚無擊殺紀錄可以統計");
+      },
+    },
+    {
+      names: ["/王"],
+      args: [{ key: "filter", label: "分類/分鐘/過/王名", optional: true }],
+      section: "boss",
+      summary: "查看所有王的剩餘時間與預計重生時間",
+      details: [
+        "/王 冰＝只看分類、/王 60＝60分鐘內重生",
+        "/王 過＝有錯過的王、/王 王名＝單隻王詳細資料",
+        `下方按鈕可直接登記${Object.values(POSTBACK_LABELS).map((l) => `「${l}」`).join("")}`,
+      ],
+      async run(ctx) {
+        // 只讀取：過期的王在這裡只推算顯示，實際推進交給背景維護（runMaintenance）
+        const { bossData } = ctx;
+        const items = buildBossStatus(bossData, currentTime());
+
+        if (items.length === 0) {
+          await ctx.reply("尚無任何王的資料");
+          return;
+        }
+
+        const arg = ctx.values.filter;
+        let shown = items;
+        let title = "王的重生時間";
+        if (arg) {
+          const filtered = filterBossStatus(items, bossData, arg);
+          if (filtered) {
+            ({ items: shown, title } = filtered);
+          } else {
+            // 不是篩選條件就當成王名，顯示單隻王的詳細資料
+            const found = resolveBossName(bossData, arg);
+            if (found.candidates.length > 1) {
+              await replyCandidates(ctx.event, arg, found.candidates);
+              return;
+            }
+            if (!found.name) {
+              await ctx.reply(`❌ 找不到「${arg}」，可用 /王 分類、/王 分鐘（例如 60）、/王 過 或 /王 王名`);
+              return;
+            }
+            const item = items.find((i) => i.name === found.name);
+            await ctx.reply({
+              type: "text",
+              text: formatBossDetail(found.name, bossData[found.name], item),
+              quickReply: item.level === "unset" ? undefined : bossQuickReply([found.name]),
+            });
+            return;
+          }
+        }
+
+        if (shown.length === 0) {
+          await ctx.reply(`沒有符合的王（${title}）`);
+          return;
+        }
+
+        // 📩 回覆卡片（依分類、依急迫程度上色），放不下時改回文字列表
+        const flex = bossListFlex(shown, `⚔️ ${title}（${shown.length} 隻）`);
+        const message = flex || { type: "text", text: formatBossStatusText(shown) };
+
+        // 最快要重生的幾隻附上快速回覆按鈕
+        const urgent = shown.filter((i) => i.level !== "unset").map((i) => i.name);
+        if (urgent.length > 0) message.quickReply = bossQuickReply(urgent);
+
+        await ctx.reply(message);
+      },
+    },
+
+    // ===== 通知相關 =====
+    {
+      names: ["/通知"],
+      args: [
+        { key: "category", label: "類別(如 冰/奇)" },
+        { key: "days", label: "參數(0/9/1.2...)" },
+      ],
+      admin: true,
+      section: "notify",
+      summary: "設定該分類的通知日期",
+      details: ["0＝關閉通知", "9＝每天通知", "1.2.3＝星期一二三通知"],
+      async run(ctx) {
+        const { bossData } = ctx;
+        const { category, days } = ctx.values;
+
+        // 🔍 從 bossData 找出該分類的所有王
+        const targets = Object.keys(bossData).filter((name) => bossData[name].category === category);
+        if (targets.length === 0) {
+          await ctx.reply(`❌ 找不到類別：${category}\n請先用 /分類 ${category} 王名 建立分類`);
+          return;
+        }
+
+        // 通知設定轉換
+        const notifyDate = days === "0" ? "NONE" : days === "9" ? "ALL" : parseWeekdays(days);
+        if (!notifyDate) {
+          await ctx.reply(router.usageText(router.find("/通知"), `「參數」格式錯誤：${days}（0、9 或 1～7，例如 1.3.5）`));
+          return;
+        }
+        for (const name of targets) bossData[name].notifyDate = notifyDate;
+        await saveBossData(ctx.scopeId, "/通知");
+
+        await ctx.reply(
+          `✅ 已更新 ${category} 類通知\n📅 通知日：${formatWeekdays(notifyDate)}\n🧊 影響王：${targets.join("、")}`
+        );
+      },
+    },
+    {
+      names: ["/提醒"],
+      args: [
+        { key: "key", label: "類別或王名" },
+        { key: "stages", label: "分鐘(30.5...)" },
+      ],
+      admin: true,
+      section: "notify",
+      summary: "設定重生前幾分鐘提醒，可設多段",
+      details: ["0＝重生當下通知", "預設＝使用全域提醒時間"],
+      async run(ctx) {
+        const { bossData } = ctx;
+        const { key, stages } = ctx.values;
+
+        const byCategory = Object.keys(bossData).filter((name) => bossData[name].category === key);
+        let targets = byCategory;
+        if (targets.length === 0) {
+          const found = resolveBossName(bossData, key);
+          if (found.candidates.length > 1) {
+            await replyCandidates(ctx.event, key, found.candidates);
+            return;
+          }
+          targets = found.name ? [found.name] : [];
+        }
+        if (targets.length === 0) {
+          await ctx.reply(`❌ 找不到類別或王名：${key}`);
+          return;
+        }
+
+        const remind = stages === "預設" ? null : parseStages(stages);
+        if (stages !== "預設" && !remind) {
+          await ctx.reply("❌ 請輸入提醒分鐘，用 . 分隔，例如 /提醒 冰 30.5（0＝重生當下）");
+          return;
+        }
+
+        for (const name of targets) {
+          bossData[name].remind = remind;
+          bossData[name].notified = [];
+        }
+        await saveBossData(ctx.scopeId, "/提醒");
+
+        const readable = remind ? formatStages(remind) : `預設（前${settings.notifyBefore}分）`;
+        await ctx.reply(`✅ 已更新 ${key} 的提醒\n⏰ 提醒：${readable}\n🧊 影響王：${targets.join("、")}`);
+      },
+    },
+    {
+      names: ["/開啟通知"],
+      admin: true,
+      section: "notify",
+      summary: "全域開啟重生前提醒",
+      run: (ctx) => setNotifyAll(ctx, true),
+    },
+    {
+      names: ["/關閉通知"],
+      admin: true,
+      section: "notify",
+      summary: "全域關閉重生前提醒",
+      run: (ctx) => setNotifyAll(ctx, false),
+    },
+    {
+      names: ["/提醒時間"],
+      args: [{ key: "minutes", label: "分鐘", type: "int", min: 0, max: 180 }],
+      admin: true,
+      section: "notify",
+      summary: "設定預設的重生前幾分鐘提醒",
+      async run(ctx) {
+        settings.notifyBefore = ctx.values.minutes;
+        const ok = await saveSettings();
+        await ctx.reply(ok ? `✅ 已改為重生前 ${ctx.values.minutes} 分鐘提醒` : "❌ 更新設定失敗，請稍後再試");
+      },
+    },
+    {
+      names: ["/未確認輪數"],
+      args: [{ key: "cycles", label: "輪數", type: "int", min: 1, max: 99 }],
+      admin: true,
+      section: "notify",
+      summary: "連續錯過幾輪沒人回報就標記為未確認",
+      async run(ctx) {
+        settings.unconfirmedAfter = ctx.values.cycles;
+        const ok = await saveSettings();
+        await ctx.reply(
+          ok ? `✅ 連續錯過 ${ctx.values.cycles} 輪沒人回報的王會標記為未確認` : "❌ 更新設定失敗，請稍後再試"
+        );
+      },
+    },
+    {
+      names: ["/停提醒輪數"],
+      args: [{ key: "cycles", label: "輪數", type: "int", min: 0, max: 99 }],
+      admin: true,
+      section: "notify",
+      summary: "連續錯過幾輪沒人回報就暫停提醒（0＝不暫停）",
+      async run(ctx) {
+        const { cycles } = ctx.values;
+        settings.muteAfter = cycles;
+        const ok = await saveSettings();
+        if (!ok) {
+          await ctx.reply("❌ 更新設定失敗，請稍後再試");
+          return;
+        }
+        await ctx.reply(cycles > 0 ? `✅ 連續錯過 ${cycles} 輪沒人回報的王會暫停提醒` : "✅ 已關閉自動暫停提醒");
+      },
+    },
+    {
+      names: ["/推播"],
+      args: [
+        { key: "action", label: "新增/移除", type: "choice", choices: ["新增", "移除"] },
+        { key: "id", label: "ID", optional: true },
+      ],
+      admin: true,
+      section: "notify",
+      summary: "開啟/關閉該聊天室的提醒推播（省略 ID＝目前聊天室）",
+      async run(ctx) {
+        const { action } = ctx.values;
+        const id = ctx.values.id || ctx.scopeId;
+
+        if (action === "新增") {
+          if (!settings.notifyTargets.includes(id)) settings.notifyTargets.push(id);
+        } else {
+          settings.notifyTargets = settings.notifyTargets.filter((t) => t !== id);
+        }
+
+        const ok = await saveSettings();
+        await ctx.reply(
+          ok
+            ? `✅ 已${action}推播對象：${id}\n📮 目前共 ${settings.notifyTargets.length} 個推播對象`
+            : "❌ 更新設定失敗，請稍後再試"
+        );
+      },
+    },
+    {
+      names: ["/時區"],
+      args: [{ key: "tz", label: "時區名稱" }],
+      admin: true,
+      section: "notify",
+      summary: "例如 /時區 Asia/Taipei",
+      async run(ctx) {
+        const { tz } = ctx.values;
+        if (!isValidTimezone(tz)) {
+          await ctx.reply(`❌ 無效的時區：${tz}\n範例：/時區 Asia/Taipei`);
+          return;
+        }
+
+        settings.timezone = tz;
+        const ok = await saveSettings();
+        await ctx.reply(ok ? `✅ 已將時區設為 ${tz}` : "❌ 更新設定失敗，請稍後再試");
+      },
+    },
+    {
+      names: ["/摘要"],
+      args: [
+        { key: "value", label: "時間/每小時/關閉/預覽", optional: true },
+        { key: "target", label: "每日/每小時", type: "choice", choices: ["每日", "每小時"], optional: true },
+      ],
+      admin: (values) => Boolean(values.value) && values.value !== "預覽",
+      section: "notify",
+      summary: "設定本聊天室的定時摘要（省略參數＝查看目前設定）",
+      details: [
+        "/摘要 08:00＝每天 08:00 推播今天的王",
+        "/摘要 每小時＝整點推播下一小時的王（依分類）",
+        "/摘要 關閉 [每日/每小時]＝關閉全部或其中一種",
+        "/摘要 預覽＝現在就看今天的王",
+      ],
+      async run(ctx) {
+        const { value, target } = ctx.values;
+        const config = { daily: null, hourly: false, ...settings.digests[ctx.scopeId] };
+
+        if (!value) {
+          await ctx.reply(formatDigestConfig(config));
+          return;
+        }
+        if (value === "預覽") {
+          await ctx.reply(dailyDigest(ctx.scopeId, currentTime()) || "今天接下來沒有會重生的王");
+          return;
+        }
+
+        if (value === "關閉") {
+          if (target !== "每小時") config.daily = null;
+          if (target !== "每日") config.hourly = false;
+        } else if (value === "每小時") {
+          config.hourly = true;
+        } else {
+          const times = parseScheduleTimes(value);
+          if (!times || times.length !== 1) {
+            await ctx.reply(`❌ 時間格式錯誤：${value}（例如 /摘要 08:00）`);
+            return;
+          }
+          config.daily = times[0];
+        }
+
+        if (config.daily || config.hourly) settings.digests[ctx.scopeId] = config;
+        else delete settings.digests[ctx.scopeId];
+
+        const ok = await saveSettings();
+        await ctx.reply(ok ? `✅ 已更新\n${formatDigestConfig(config)}` : "❌ 更新設定失敗，請稍後再試");
+      },
+    },
+    {
+      names: ["/設定查看"],
+      section: "notify",
+      summary: "查看目前的全域設定",
+      async run(ctx) {
+        const targets = settings.notifyTargets.length > 0
+          ? settings.notifyTargets.map((t) => `　・${t}`).join("\n")
+          : "　（未設定，不會推播）";
+
+        await ctx.reply(`⚙️ 目前設定
+━━━━━━━━━━━
+🔔 總通知：${settings.notifyAll ? "開啟" : "關閉"}
+⏱ 提前提醒：${settings.notifyBefore} 分鐘
+❔ 未確認：連續錯過 ${settings.unconfirmedAfter} 輪
+🔕 暫停提醒：${settings.muteAfter > 0 ? `連續錯過 ${settings.muteAfter} 輪` : "不暫停"}
+🌏 時區：${settings.timezone}
+👑 管理員：${settings.admins.length > 0 ? `${settings.admins.length} 位` : "未設定"}
+📮 推播對象：
+${targets}`);
+      },
+    },
+
+    // ===== 分類管理 =====
+    {
+      names: ["/分類"],
+      args: [
+        { key: "category", label: "類別" },
+        { key: "name", label: "王名" },
+      ],
+      admin: true,
+      section: "category",
+      summary: "將王加入指定分類",
+      async run(ctx) {
+        const { category } = ctx.values;
+        const name = await resolveOrAsk(ctx, ctx.values.name);
+        if (!name) return;
+        if (!ctx.bossData[name]) {
+          await ctx.reply(`❌ 找不到名稱為「${name}」的王。`);
+          return;
+        }
+
+        ctx.bossData[name].category = category;
+        await saveBossData(ctx.scopeId, "/分類");
+        await ctx.reply(`✅ 已將「${name}」分類為「${category}」`);
+      },
+    },
+    {
+      names: ["/分類刪除"],
+      args: [{ key: "name", label: "王名" }],
+      admin: true,
+      section: "category",
+      summary: "從分類中移除王",
+      async run(ctx) {
+        const name = await resolveOrAsk(ctx, ctx.values.name);
+        if (!name) return;
+        if (!ctx.bossData[name]) {
+          await ctx.reply(`❌ 找不到名稱為「${name}」的王。`);
+          return;
+        }
+
+        ctx.bossData[name].category = "";
+        await saveBossData(ctx.scopeId, "/分類刪除");
+        await ctx.reply(`✅ 已移除「${name}」的分類`);
+      },
+    },
+
+    // ===== 管理員 =====
+    {
+      names: ["/管理員"],
+      args: [
+        { key: "action", label: "新增/移除", type: "choice", choices: ["新增", "移除"], optional: true },
+        { key: "id", label: "個人ID", optional: true },
+      ],
+      admin: (values) => Boolean(values.action), // 查看名單不限
+      section: "admin",
+      summary: "查看管理員名單，或新增 / 移除管理員（省略 ID＝自己）",
+      details: ["新增 / 移除只有管理員能用"],
+      async run(ctx) {
+        const { action } = ctx.values;
+        if (!action) {
+          const list = settings.admins.length > 0
+            ? settings.admins.map((id) => `　・${id}`).join("\n")
+            : "　（未設定，請在 ADMIN_IDS 填入個人 ID 後重新啟動）";
+          await ctx.reply(`👑 管理員：\n${list}`);
+          return;
+        }
+
+        const id = ctx.values.id || ctx.event.source.userId;
+        if (!id || !id.startsWith("U")) {
+          await ctx.reply("❌ 請輸入個人 ID（U 開頭，可用 /我的ID 查詢）");
+          return;
+        }
+
+        if (action === "新增") {
+          if (!settings.admins.includes(id)) settings.admins.push(id);
+        } else {
+          if (!settings.admins.includes(id)) {
+            await ctx.reply(`❌ ${id} 不是管理員`);
+            return;
+          }
+          if (settings.admins.length === 1 && settings.admins[0] === id) {
+            await ctx.reply("❌ 至少要保留一位管理員");
+            return;
+          }
+          settings.admins = settings.admins.filter((a) => a !== id);
+        }
+
+        const ok = await saveSettings();
+        await ctx.reply(
+          ok ? `✅ 已${action}管理員：${id}\n👑 目前共 ${settings.admins.length} 位管理員` : "❌ 更新設定失敗，請稍後再試"
+        );
+      },
+    },
+
+    // ===== 其他 =====
+    {
+      names: ["/資訊"],
+      section: "other",
+      summary: "查看所有王的設定與通知日",
+      async run(ctx) {
+        const items = Object.keys(ctx.bossData).map((name) => {
+          const b = ctx.bossData[name];
+          return {
+            name,
+            category: b.category,
+            rule: b.schedule ? `定時：${formatSchedule(b.schedule)}` : `間隔：${formatInterval(b)}`,
+            notify: formatWeekdays(b.notifyDate),
+            remind: formatStages(getRemindStages(b)),
+          };
+        });
+
+        if (items.length === 0) {
+          await ctx.reply("目前尚無任何王的資訊");
+          return;
+        }
+
+        const list = items
+          .map((i) => `🔹 ${i.name}\n　${i.rule}\n　通知：${i.notify}\n　提醒：${i.remind}`)
+          .join("\n\n");
+
+        // 卡片太多放不下時改回文字
+        const flex = bossInfoFlex(items, `📖 王的設定（${items.length} 隻）`);
+        await ctx.reply(flex || list);
+      },
+    },
+    {
+      names: ["/我的ID"],
+      section: "other",
+      summary: "顯示目前的群組、聊天室或個人 ID",
+      async run(ctx) {
+        const { source } = ctx.event;
+        let idText;
+        if (source.type === "group") idText = `這是群組 ID：${source.groupId}`;
+        else if (source.type === "room") idText = `這是多人聊天 ID：${source.roomId}`;
+        else idText = `這是你的個人 ID：${source.userId || "無法取得"}`;
+
+        // 群組 / 聊天室裡也附上個人 ID，方便設定管理員
+        if (source.type !== "user" && source.userId) idText += `\n你的個人 ID：${source.userId}`;
+        await ctx.reply(idText);
+      },
+    },
+    {
+      names: ["/配方"],
+      args: [{ key: "recipe", label: "配方", optional: true }],
+      section: "craft",
+      summary: "列出可計算的配方，或查看某個配方的輸入方式",
+      async run(ctx) {
+        const { recipe: key } = ctx.values;
+        if (key) {
+          const recipe = recipes.get(key);
+          await ctx.reply(recipe ? recipeHelp(recipe, `/計算 ${recipe.name}`) : `❌ 找不到配方：${key}`);
+          return;
+        }
+
+        const list = [...new Set(recipes.values())].map((r) => `・${r.name}（${r.title}）`);
+        await ctx.reply(
+          list.length > 0
+            ? `📘 可計算的配方：\n${list.join("\n")}\n用 /配方 名稱 查看輸入方式`
+            : "目前沒有可計算的配方"
+        );
+      },
+    },
+    {
+      names: ["/計算"],
+      args: [
+        { key: "recipe", label: "配方" },
+        { key: "inputs", label: "材料=數量", optional: true, rest: true },
+      ],
+      section: "craft",
+      summary: "依配方計算材料缺口（最非 / 最歐，配方有成功率時另算九成與期望）與各自消耗",
+      details: ["也可以依 /配方 名稱 的順序輸入 數字.數字…", "沒打的材料用 /材料 登記的數量"],
+      async run(ctx) {
+        await replyRecipe(ctx, ctx.values.recipe, ctx.values.inputs);
+      },
+    },
+    {
+      names: ["/4轉材料", "/四轉材料"],
+      section: "craft",
+      summary: "四轉材料計算的輸入說明",
+      async run(ctx) {
+        const recipe = recipes.get("4轉");
+        await ctx.reply(recipe ? recipeHelp(recipe, "/4轉") : "❌ 找不到配方：4轉");
+      },
+    },
+    {
+      names: ["/4轉", "/四轉"],
+      args: [{ key: "inputs", label: "數字.數字… 或 材料=數量", optional: true, rest: true }],
+      section: "craft",
+      summary: "計算四轉材料缺口（最非 / 最歐）與各書消耗",
+      details: ["不打數字就用 /材料 登記的數量"],
+      async run(ctx) {
+        await replyRecipe(ctx, "4轉", ctx.values.inputs);
+      },
+    },
+    {
+      names: ["/材料"],
+      args: [{ key: "changes", label: "材料 數量", optional: true, rest: true }],
+      section: "craft",
+      summary: "查看或登記自己的材料（/4轉、/計算 不打數字時使用）",
+      details: [
+        "例：/材料 墨水晶 +30 金幣 2000000",
+        "數量前加 + / - 為增減；失敗次數寫 教皇認可失敗 3",
+        "/材料 清除 [材料] 清空全部或某一項",
+      ],
+      async run(ctx) {
+        const { userId } = ctx.event.source;
+        if (!userId) {
+          await ctx.reply("❌ 無法取得你的 LINE ID，請先加機器人好友");
+          return;
+        }
+        const inventory = (inventories[userId] ||= {});
+        const tokens = ctx.values.changes;
+
+        if (tokens.length === 0) {
+          const keys = sortedMaterials(inventory);
+          await ctx.reply(
+            keys.length > 0
+              ? `🎒 你的材料：\n${keys.map((k) => `・${inputLabel(k)}：${inventory[k].toLocaleString()}`).join("\n")}`
+              : "🎒 尚未登記任何材料\n例：/材料 墨水晶 55"
+          );
+          return;
+        }
+
+        const recipeList = [...new Set(recipes.values())];
+        if (tokens[0] === "清除") {
+          const key = tokens[1] && resolveMaterial(recipeList, tokens[1]);
+          if (tokens[1] && !key) {
+            await ctx.reply(`❌ 找不到材料：${tokens[1]}`);
+            return;
+          }
+          if (key) delete inventory[key];
+          else Object.keys(inventory).forEach((k) => delete inventory[k]);
+          await saveInventory(userId);
+          await ctx.reply(key ? `🗑 已清除 ${inputLabel(key)}` : "🗑 已清除所有材料");
+          return;
+        }
+
+        if (tokens.length % 2 !== 0) {
+          await ctx.reply("❌ 請成對輸入「材料 數量」，例：/材料 墨水晶 +30");
+          return;
+        }
+
+        // 先全部檢查過再寫入，避免改到一半
+        const updates = [];
+        for (let i = 0; i < tokens.length; i += 2) {
+          const [name, raw] = [tokens[i], tokens[i + 1]];
+          const key = resolveMaterial(recipeList, name);
+          if (!key) {
+            await ctx.reply(`❌ 找不到材料：${name}（可用 /配方 名稱 查看）`);
+            return;
+          }
+          const m = raw.replace(/,/g, "").match(/^([+-]?)(\d+)$/);
+          if (!m) {
+            await ctx.reply(`❌ 「${name}」的數量格式錯誤：${raw}`);
+            return;
+          }
+          updates.push({ key, sign: m[1], n: Number(m[2]) });
+        }
+
+        const lines = updates.map(({ key, sign, n }) => {
+          const before = inventory[key] || 0;
+          const after = Math.max(sign === "+" ? before + n : sign === "-" ? before - n : n, 0);
+          if (after > 0) inventory[key] = after;
+          else delete inventory[key];
+          return `・${inputLabel(key)}：${before.toLocaleString()} → ${after.toLocaleString()}`;
+        });
+        await saveInventory(userId);
+        await ctx.reply(`✅ 已更新材料\n${lines.join("\n")}`);
+      },
+    },
+    {
+      names: ["/幫助"],
+      section: "other",
+      summary: "顯示這份說明",
+      async run(ctx) {
+        await ctx.reply(router.helpText(HELP_SECTIONS));
+      },
+    },
+  ];
+
+  const router = createRouter(commands);
+
+  async function replyRecipe(ctx, key, tokens) {
+    const recipe = recipes.get(key);
+    if (!recipe) {
+      await ctx.reply(`❌ 找不到配方：${key}（可用 /配方 查看）`);
+      return;
+    }
+
+    const saved = inventories[ctx.event.source.userId] || {};
+    const { have, fails, error } = parseRecipeInputs(recipe, tokens, saved);
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+
+    let text = formatRecipeResult(recipe, calcRecipe(recipe, { have, fails }));
+    if (tokens.length === 0 && Object.keys(saved).length === 0) {
+      text = `💡 還沒用 /材料 登記材料，以下當作都沒有來計算\n\n${text}`;
+    }
+    await ctx.reply(text);
+  }
+
+  async function handleEvent(event) {
+    if (event.type === "postback") return handlePostback(event);
+    if (event.type === "join" || event.type === "follow") return handleJoin(event);
+    if (event.type === "leave" || event.type === "unfollow") return handleLeave(event);
+    if (event.type === "memberJoined") return handleMemberJoined(event);
+    if (event.type !== "message" || event.message.type !== "text") return;
+
+    const text = event.message.text.trim();
+    const matched = router.match(text);
+    if (!matched) return; // 不是指令（一般聊天）就不理
+
+    console.log(`🕐 心跳 / 指令觸發: ${currentTime().format("YYYY/MM/DD HH:mm:ss")}`);
+    const { command } = matched;
+    const reply = (message) =>
+      client.replyMessage(event.replyToken, typeof message === "string" ? { type: "text", text: message } : message);
+
+    // 參數不對 → 回覆用法
+    if (matched.error) {
+      await reply(router.usageText(command, matched.error));
+      return;
+    }
+
+    // 🔒 管理員限定指令
+    if (router.requiresAdmin(command, matched.values) && !isAdmin(event.source.userId)) {
+      await reply(`🔒 ${matched.name} 只有管理員可以使用，請找管理員幫忙\n（/管理員 可查看管理員名單）`);
+      return;
+    }
+
+    // 📌 每個群組 / 聊天室 / 個人各自一張王表
+    const scopeId = getScopeId(event.source);
+    await command.run({
+      event,
+      scopeId,
+      bossData: getBossTable(scopeId),
+      name: matched.name,
+      values: matched.values,
+      tokens: matched.tokens,
+      text,
+      reply,
+    });
+  }
+
+  // ===== 加入 / 離開聊天室 =====
+  // 被邀進群組 / 聊天室（join）或被加好友（follow）：打招呼並加入推播對象
+  // 被踢出（leave）或被封鎖（unfollow）：移除推播對象與摘要設定（王表保留，再邀回來還在）
+  const WELCOME_COMMANDS = ["/重生", "/殺", "/王", "/設定", "/幫助"];
+
+  function welcomeText() {
+    const lines = WELCOME_COMMANDS.map((name) => {
+      const command = router.find(name);
+      return `${formatUsage(command)}\n　→ ${command.summary}`;
+    });
+    return `👋 大家好！我會提醒王的重生時間
+━━━━━━━━━━━
+${lines.join("\n")}
+━━━━━━━━━━━
+🔔 已開啟這裡的重生提醒（/推播 移除 可關閉）`;
+  }
+
+  async function handleJoin(event) {
+    const scopeId = getScopeId(event.source);
+    if (!settings.notifyTargets.includes(scopeId)) {
+      settings.notifyTargets.push(scopeId);
+      await saveSettings();
+    }
+    console.log(`👋 已加入 ${scopeId}（${event.type}）`);
+    await client.replyMessage(event.replyToken, { type: "text", text: welcomeText() });
+  }
+
+  async function handleLeave(event) {
+    const scopeId = getScopeId(event.source);
+    settings.notifyTargets = settings.notifyTargets.filter((t) => t !== scopeId);
+    delete settings.digests[scopeId];
+    await saveSettings();
+    console.log(`👋 已離開 ${scopeId}（${event.type}），移除推播對象`);
+  }
+
+  // 新成員加入群組：用名稱打招呼
+  async function handleMemberJoined(event) {
+    const { groupId, roomId } = event.source;
+    const names = [];
+    for (const member of event.joined?.members || []) {
+      const name = await getDisplayName({ groupId, roomId, userId: member.userId });
+      if (name) names.push(name);
+    }
+    const greet = names.length > 0 ? `👋 歡迎 ${names.join("、")}！` : "👋 歡迎新朋友！";
+    await client.replyMessage(event.replyToken, {
+      type: "text",
+      text: `${greet}\n輸入 /王 查看重生時間，/幫助 查看所有指令`,
+    });
+  }
+
+  // ===== 按鈕（postback）處理 =====
+  // data 格式：action=kill|skip|delay&boss=王名（按鈕文字與延後分鐘數見 flex.js）
+
+  async function handlePostback(event) {
+    const params = new URLSearchParams(event.postback.data);
+    const action = params.get("action");
+    const name = params.get("boss");
+    if (!["kill", "skip", "delay"].includes(action) || !name) return;
+
+    const scopeId = getScopeId(event.source);
+    const bossData = getBossTable(scopeId);
+    const now = currentTime();
+    const b = bossData[name];
+
+    // 按鈕可能是很久以前的訊息，王已被刪掉或改成定時就照指令的規則擋下；
+    // 按鈕裡的是完整名稱，不做模糊比對，免得記到名稱相近的另一隻王
+    let error = null;
+    let record = null;
+    let target = name;
+    if (!b) {
+      error = `❌ 找不到名稱為「${name}」的王。`;
+    } else if (action === "kill") {
+      const result = registerKill(bossData, name, undefined, now);
+      error = result.error;
+      target = result.name;
+      record = { ...result, action: "kill" };
+    } else if (!b.nextRespawn || !hasRespawnRule(b)) {
+      error = `${name} 尚未設定重生時間`;
+    } else if (action === "skip") {
+      skipRespawn(b, now);
+      record = { name, action: "skip" };
+    } else {
+      b.nextRespawn = dayjs(b.nextRespawn).add(POSTBACK_DELAY_MIN, "minute").toISOString();
+    }
+
+    if (error) {
+      await client.replyMessage(event.replyToken, { type: "text", text: error });
+      return;
+    }
+
+    const undo = await saveBossData(scopeId, `按鈕「${POSTBACK_LABELS[action]}」`);
+    if (record) await recordHistory(event, scopeId, "按鈕", [record], undo);
+    const respTime = formatRespawn(bossData[target]);
+    const who = await actor(event.source);
+    const text = {
+      kill: `🕒 ${who}已設定 ${target} 將於 ${respTime} 重生`,
+      skip: `⏭ ${who ? `${who}回報 ` : ""}${target} 這輪沒出，下次 ${respTime} 重生`,
+      delay: `⏳ ${who ? `${who}將 ` : ""}${target} 延後 ${POSTBACK_DELAY_MIN} 分，改為 ${respTime} 重生`,
+    }[action];
+    await client.replyMessage(event.replyToken, {
+      type: "text",
+      text,
+      quickReply: bossQuickReply([target]),
+    });
+  }
+
+  // 「沒出」：這一輪算錯過，直接跳到下一輪
+  function skipRespawn(b, now) {
+    const resp = dayjs(b.nextRespawn).tz(settings.timezone);
+    const next = b.schedule ? nextScheduledTime(b.schedule, resp) : resp.add(b.interval, "hour");
+    b.nextRespawn = next.toISOString();
+    b.notified = [];
+    if (!b.schedule) b.missedCount = (b.missedCount || 0) + 1;
+    rollRespawn(b, now);
+  }
+
+  // ===== 背景維護 =====
+  // 每個群組的王：重生時間過了就推到目前這一輪（累加錯過次數、重置提醒），
+  // 連續錯過達到門檻時標記未確認 / 停止提醒，回傳這次剛達到門檻的通知文字
+  function maintainScope(scopeId, now) {
+    const notices = [];
+    let changed = false;
+
+    for (const [name, b] of Object.entries(getBossTable(scopeId))) {
+      if (!b.nextRespawn || !hasRespawnRule(b)) continue;
+
+      const wasUnconfirmed = isUnconfirmed(b);
+      const wasMuted = isMuted(b);
+      if (rollRespawn(b, now) === 0) continue;
+      changed = true;
+
+      if (isMuted(b) && !wasMuted) {
+        notices.push(`🔕 ${name} 已連續 ${b.missedCount} 輪沒人回報，暫停提醒（/殺 或按「剛擊殺」即可恢復）`);
+      } else if (isUnconfirmed(b) && !wasUnconfirmed) {
+        notices.push(`❔ ${name} 已連續 ${b.missedCount} 輪沒人回報，重生時間改為推算（未確認）`);
+      }
+    }
+    return { changed, notices };
+  }
+
+  // 所有群組各維護一次並存檔（啟動時先跑一次，之後由 checkReminders 每分鐘帶著跑）
+  async function runMaintenance() {
+    const now = currentTime();
+    for (const scopeId of Object.keys(bossTables)) {
+      const { changed, notices } = maintainScope(scopeId, now);
+      notices.forEach((n) => console.log(`🧹 ${scopeId}：${n}`));
+      if (changed) await saveBossData(scopeId);
+    }
+  }
+
+  // ===== 定時摘要 =====
+  // 每日摘要：指定時間推播今天接下來會重生的王（依時間排序）
+  // 每小時摘要：整點推播下一小時會重生的王（依分類分組）
+  // 都只列通知日內、沒有暫停提醒的王；沒有王就不推
+  const digestSent = {}; // "群組ID:類型" → 上次推播的分鐘，避免同一分鐘重複推
+
+  // 某隻王在 [from, to) 之間的每一輪重生時間
+  function respawnsBetween(b, from, to) {
+    if (!b.nextRespawn || !hasRespawnRule(b) || isMuted(b)) return [];
+    const times = [];
+    let t = dayjs(currentCycle(b, from).nextRespawn).tz(settings.timezone);
+    const width = respawnWindowMin(b);
+
+    while (t && t.isBefore(to)) {
+      if (!t.add(width, "minute").isBefore(from) && isNotifyDay(b.notifyDate, t)) times.push(t);
+      t = b.schedule ? nextScheduledTime(b.schedule, t) : t.add(b.interval, "hour");
+    }
+    return times;
+  }
+
+  function digestEntries(scopeId, from, to) {
+    return Object.entries(getBossTable(scopeId))
+      .flatMap(([name, b]) => respawnsBetween(b, from, to).map((time) => ({ name, b, time })))
+      .sort((x, y) => x.time.valueOf() - y.time.valueOf());
+  }
+
+  function formatDigestLine({ name, b, time }) {
+    const width = respawnWindowMin(b);
+    const start = time.format("HH:mm");
+    const range = width > 0 ? `${start}～${time.add(width, "minute").format("HH:mm")}` : start;
+    return `・${range} ${name}${isUnconfirmed(b) ? "（未確認）" : ""}`;
+  }
+
+  // 今天接下來的王；沒有回傳 null
+  function dailyDigest(scopeId, now) {
+    const entries = digestEntries(scopeId, now, now.endOf("day"));
+    if (entries.length === 0) return null;
+    const title = `🌅 今日王表（${now.format("MM/DD")} 星期${WEEKDAY_NAMES[WEEKDAY_KEYS[now.day()]]}）`;
+    return [title, ...entries.map(formatDigestLine)].join("\n");
+  }
+
+  // 下一小時的王，依分類分組；沒有回傳 null
+  function hourlyDigest(scopeId, now) {
+    const end = now.add(1, "hour");
+    const entries = digestEntries(scopeId, now, end);
+    if (entries.length === 0) return null;
+
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = entry.b.category || "未分類";
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+    const blocks = [...groups.entries()].map(([category, list]) => [`【${category}】`, ...list.map(formatDigestLine)].join("\n"));
+    return [`🕐 ${now.format("HH:mm")}～${end.format("HH:mm")} 重生的王`, ...blocks].join("\n");
+  }
+
+  function formatDigestConfig(config = {}) {
+    return `📰 本聊天室的摘要：\n・每日：${config.daily || "關閉"}\n・每小時：${config.hourly ? "開啟" : "關閉"}`;
+  }
+
+  async function checkDigests(now) {
+    if (!settings.notifyAll) return;
+    const minute = now.format("YYYY-MM-DD HH:mm");
+
+    for (const [scopeId, config] of Object.entries(settings.digests)) {
+      const jobs = [];
+      if (config.daily === now.format("HH:mm")) jobs.push(["daily", dailyDigest]);
+      if (config.hourly && now.minute() === 0) jobs.push(["hourly", hourlyDigest]);
+
+      for (const [type, build] of jobs) {
+        const key = `${scopeId}:${type}`;
+        if (digestSent[key] === minute) continue;
+        digestSent[key] = minute;
+
+        const text = build(scopeId, now.startOf("minute"));
+        if (!text) continue;
+        try {
+          await client.pushMessage(scopeId, { type: "text", text });
+          console.log(`📰 已推播${type === "daily" ? "每日" : "每小時"}摘要到 ${scopeId}`);
+        } catch (err) {
+          console.error(`❌ 推播摘要到 ${scopeId} 失敗`, err);
+        }
+      }
+    }
+  }
+
+  // ===== 重生前提醒排程 =====
+  // 每分鐘：先記下剛重生的王（推進前才看得到）、再做背景維護、最後找出該提醒的王；接著檢查定時摘要
+  let reminderRunning = false;
+
+  async function checkReminders() {
+    if (reminderRunning) return; // 上一輪還沒跑完（例如 Sheets 太慢）就跳過
+    reminderRunning = true;
+
+    try {
+      const now = currentTime();
+      for (const scopeId of Object.keys(bossTables)) {
+        await checkScopeReminders(scopeId, now);
+      }
+      await checkDigests(now);
+    } finally {
+      reminderRunning = false;
+    }
+  }
+
+  // 檢查單一群組的王，提醒只推回擁有這張表的群組
+  async function checkScopeReminders(scopeId, now) {
+    const bossData = getBossTable(scopeId);
+    const canPush = settings.notifyAll && settings.notifyTargets.includes(scopeId);
+    const due = [];
+
+    // 剛重生 → 有設定 0 就發「已重生」通知
+    for (const [name, b] of Object.entries(bossData)) {
+      if (!canPush || !b.nextRespawn || !hasRespawnRule(b) || isMuted(b)) continue;
+
+      const resp = dayjs(b.nextRespawn).tz(settings.timezone);
+      if (now.isAfter(resp) && getRemindStages(b).includes(0) && !(b.notified || []).includes(0)
+        && now.diff(resp, "minute") < STAGE_GRACE_MIN && isNotifyDay(b.notifyDate, resp)) {
+        due.push({ name, b, resp, cycle: b.nextRespawn, stage: 0, marks: [0] });
+      }
+    }
+
+    let { changed, notices } = maintainScope(scopeId, now);
+    if (!canPush) notices.forEach((n) => console.log(`🧹 ${scopeId}：${n}`));
+
+    for (const [name, b] of Object.entries(bossData)) {
+      if (!canPush || !b.nextRespawn || !hasRespawnRule(b) || isMuted(b)) continue;
+
+      const resp = dayjs(b.nextRespawn).tz(settings.timezone);
+      if (!isNotifyDay(b.notifyDate, resp)) continue;
+
+      // 已進入的階段中只發最接近重生的那一段，較早的階段一併標記（避免重啟後連發）
+      const stages = getRemindStages(b);
+      const reached = stages.filter((s) => s > 0 && !now.isBefore(resp.subtract(s, "minute")));
+      const pending = reached.filter((s) => !b.notified.includes(s));
+      if (pending.length === 0) continue;
+
+      due.push({ name, b, resp, cycle: b.nextRespawn, stage: Math.min(...pending), marks: reached });
+    }
+
+    if (canPush && (due.length > 0 || notices.length > 0)) {
+      // 同一分鐘到期的王合併成一則，節省推播額度
+      const lines = due
+        .sort((x, y) => x.resp.valueOf() - y.resp.valueOf())
+        .map(({ name, b, resp, stage }) => {
+          const guess = isUnconfirmed(b) ? "（未確認）" : "";
+          if (stage === 0) {
+            return respawnWindowMin(b) > 0
+              ? `🔥 ${name} 進入重生時段（${resp.format("HH:mm")} 起）${guess}`
+              : `🔥 ${name} 已重生（${resp.format("HH:mm")}）${guess}`;
+          }
+          const diffMin = Math.max(resp.diff(now, "minute"), 0);
+          return `⏰ ${name} 將於 ${formatRespawn(b)} 重生（剩餘 ${diffMin} 分）${guess}`;
+        });
+
+      try {
+        const message = { type: "text", text: [...lines, ...notices].join("\n") };
+        if (due.length > 0) message.quickReply = bossQuickReply(due.map((d) => d.name));
+        await client.pushMessage(scopeId, message);
+        due.forEach(({ b, cycle, marks }) => {
+          if (b.nextRespawn !== cycle) return; // 這一輪已經推進，不用記
+          b.notified = [...new Set([...b.notified, ...marks])];
+        });
+        changed = true;
+        console.log(`🔔 已推播提醒到 ${scopeId}：${due.map((d) => d.name).join("、")}`);
+      } catch (err) {
+        console.error(`❌ 推播提醒到 ${scopeId} 失敗`, err);
+      }
+    }
+
+    if (changed) await saveBossData(scopeId);
+  }
+
+  // ===== 啟動時載入資料 =====
+  async function init() {
+    await loadSettings();
+    await loadBossData();
+    await runMaintenance();
+    await loadRecipes();
+    await loadInventories();
+  }
+
+  return { init, handleEvent, checkReminders, runMaintenance, settings, getBossTable };
+}
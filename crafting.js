@@ -0,0 +1,334 @@
+import fs from "node:fs/promises";
+
+// ===== 製作配方計算 =====
+// 配方用資料定義（recipes/*.json，或 Sheets 的 Recipes 分頁 / 資料檔的 recipes），同一套計算可用在各種轉職與製作樹
+// {
+//   name: "4轉", aliases: ["四轉"], title: "四轉材料",
+//   goal:   { 最終需要的物品: 數量 },
+//   crafts: { 可製作的物品: { cost: { 材料: 每次消耗 }, pity: 最慘第 N 次必成功, rate: 每次成功率（0～1，不寫＝1） } },
+//   inputs: [位置輸入的順序，「物品失敗」＝該物品目前的失敗次數],
+//   icons:  { 物品: 圖示 }, example: "位置輸入範例"
+// }
+// 材料本身也可以是另一個 craft（中間製作物），會一路往下展開
+// 有保底的製作都寫了成功率時，另外用模擬算出期望值與九成玩家的用量
+
+const FAIL_SUFFIX = "失敗";
+const DEFAULT_ICON = "▫️";
+const SIM_RUNS = 2000;
+const SIM_SEED = 20240601; // 固定種子，同樣的輸入每次回覆一樣
+const PERCENTILE = 90;
+const BUILTIN_DIR = new URL("./recipes/", import.meta.url);
+
+function isCount(n) {
+  return Number.isInteger(n) && n >= 0;
+}
+
+// ===== 載入內建配方 =====
+export async function loadBuiltinRecipes() {
+  const files = (await fs.readdir(BUILTIN_DIR)).filter((f) => f.endsWith(".json")).sort();
+  return Promise.all(files.map(async (f) => JSON.parse(await fs.readFile(new URL(f, BUILTIN_DIR), "utf8"))));
+}
+
+// ===== 檢查並整理配方 =====
+// 格式不對直接丟出錯誤（含配方名稱），讓上層略過這個配方
+export function createRecipe(def) {
+  const name = String(def.name || "").trim();
+  if (!name) throw new Error("配方缺少名稱");
+  const fail = (msg) => new Error(`配方「${name}」${msg}`);
+
+  const goal = def.goal || {};
+  const crafts = def.crafts || {};
+  if (Object.keys(goal).length === 0) throw fail("沒有目標");
+  for (const [item, n] of Object.entries(goal)) {
+    if (!isCount(n) || n === 0) throw fail(`的目標數量錯誤：${item}`);
+  }
+  for (const [item, craft] of Object.entries(crafts)) {
+    if (craft.pity !== undefined && !(Number.isInteger(craft.pity) && craft.pity >= 1)) {
+      throw fail(`的保底次數錯誤：${item}`);
+    }
+    if (craft.rate !== undefined && !(craft.rate > 0 && craft.rate <= 1)) throw fail(`的成功率錯誤：${item}`);
+    if (Object.keys(craft.cost || {}).length === 0) throw fail(`沒有寫 ${item} 的材料`);
+    for (const [mat, n] of Object.entries(craft.cost)) {
+      if (!isCount(n) || n === 0) throw fail(`的材料數量錯誤：${item} → ${mat}`);
+    }
+  }
+
+  // 由目標往下展開，排出「先算上層、再算材料」的順序，順便檢查循環
+  // listed 是第一次看到的順序，顯示用
+  const done = [];
+  const visiting = [];
+  const listed = [];
+  function visit(item) {
+    if (done.includes(item)) return;
+    if (!listed.includes(item)) listed.push(item);
+    if (visiting.includes(item)) {
+      throw fail(`的製作表有循環：${[...visiting.slice(visiting.indexOf(item)), item].join(" → ")}`);
+    }
+    visiting.push(item);
+    for (const mat of Object.keys(crafts[item]?.cost || {})) visit(mat);
+    visiting.pop();
+    done.push(item);
+  }
+  Object.keys(goal).forEach(visit);
+  const items = done.reverse();
+
+  const unused = Object.keys(crafts).filter((item) => !items.includes(item));
+  if (unused.length > 0) throw fail(`有用不到的製作：${unused.join("、")}`);
+
+  // 上半部：目標裡需要製作的物品；下半部：其餘材料
+  const targets = Object.keys(goal).filter((item) => crafts[item]);
+  const inputs = def.inputs || [
+    ...targets.flatMap((item) => (crafts[item].pity ? [item, `${item}${FAIL_SUFFIX}`] : [item])),
+    ...listed.filter((item) => !targets.includes(item)),
+  ];
+
+  const recipe = {
+    name,
+    aliases: def.aliases || [],
+    title: def.title || name,
+    goal,
+    crafts,
+    items,
+    targets,
+    inputs,
+    icons: def.icons || {},
+    example: def.example || "",
+    // 有保底卻沒寫成功率就算不出期望值，只給最非 / 最歐
+    probabilistic: Object.values(crafts).some((c) => c.pity) && Object.values(crafts).every((c) => !c.pity || c.rate),
+  };
+  for (const key of inputs) {
+    if (!resolveInput(recipe, key, { exact: true })) throw fail(`的輸入順序有不認得的項目：${key}`);
+  }
+
+  const ordered = inputs.filter((key) => items.includes(key) && !targets.includes(key));
+  recipe.materials = [...ordered, ...listed.filter((item) => !targets.includes(item) && !ordered.includes(item))];
+  return recipe;
+}
+
+// 「教皇認可」→ 持有數量；「教皇認可失敗」→ 失敗次數；可以只打開頭（例如 教皇失敗）
+function resolveInput(recipe, raw, { exact = false } = {}) {
+  const find = (name) => {
+    if (recipe.items.includes(name)) return name;
+    if (exact) return null;
+    const found = recipe.items.filter((item) => item.startsWith(name));
+    return found.length === 1 ? found[0] : null;
+  };
+
+  const direct = find(raw);
+  if (direct) return { item: direct, fail: false };
+  if (!raw.endsWith(FAIL_SUFFIX)) return null;
+
+  const item = find(raw.slice(0, -FAIL_SUFFIX.length));
+  return item && recipe.crafts[item]?.pity ? { item, fail: true } : null;
+}
+
+// 跨配方找材料名稱（/材料 用），回傳「物品」或「物品失敗」，找不到或有多個符合回傳 null
+export function resolveMaterial(recipeList, raw) {
+  const keyOf = ({ item, fail }) => (fail ? `${item}${FAIL_SUFFIX}` : item);
+  for (const exact of [true, false]) {
+    const keys = new Set(
+      recipeList.map((recipe) => resolveInput(recipe, raw, { exact })).filter(Boolean).map(keyOf)
+    );
+    if (keys.size === 1) return [...keys][0];
+    if (keys.size > 1) return null;
+  }
+  return null;
+}
+
+export function inputLabel(key) {
+  return key.endsWith(FAIL_SUFFIX) ? `${key.slice(0, -FAIL_SUFFIX.length)} 失敗次數` : key;
+}
+
+// ===== 解析輸入 =====
+// 「7.1.12…」依 inputs 順序；「教皇認可=7 墨水晶=55」只填有的，其餘用 saved（/材料 存的）或當 0
+// 成功回傳 { have, fails }，失敗回傳 { error }
+export function parseRecipeInputs(recipe, tokens, saved = {}) {
+  const have = {};
+  const fails = {};
+  const set = ({ item, fail }, n) => ((fail ? fails : have)[item] = n);
+
+  if (tokens.length === 1 && !/[=＝]/.test(tokens[0])) {
+    const nums = tokens[0].split(".").map((n) => parseInt(n, 10) || 0);
+    if (nums.length !== recipe.inputs.length) return { error: `❌ 請確認已輸入 ${recipe.inputs.length} 個數字` };
+    recipe.inputs.forEach((key, i) => set(resolveInput(recipe, key, { exact: true }), nums[i]));
+    return { have, fails };
+  }
+
+  for (const [key, n] of Object.entries(saved)) {
+    const target = resolveInput(recipe, key, { exact: true });
+    if (target) set(target, n);
+  }
+
+  // 這次有打的數量蓋過存的
+  for (const token of tokens) {
+    const [key, value = ""] = token.split(/[=＝]/);
+    const target = resolveInput(recipe, key);
+    if (!target) return { error: `❌ 找不到材料：${key}` };
+
+    const n = Number(value.replace(/,/g, ""));
+    if (!value || !isCount(n)) return { error: `❌ 「${key}」的數量格式錯誤：${value || "（空白）"}` };
+    set(target, n);
+  }
+  return { have, fails };
+}
+
+// ===== 計算缺口 =====
+// 依展開順序把每個物品的需求往材料傳，差別只在每個製作要做幾次：
+//   最歐：每次都成功，製作次數＝缺的數量
+//   最非：每個都做到保底，製作次數＝缺的數量 × 保底 − 目前失敗次數（沒有保底又會失敗＝無上限）
+//   期望 / 九成：依成功率模擬 SIM_RUNS 次，取平均與第 PERCENTILE 百分位
+// 回傳每個物品扣掉持有後還缺多少（可製作的物品＝還要做幾個），以及目標物品各自的材料消耗
+export function calcRecipe(recipe, { have = {}, fails = {} } = {}) {
+  function run(triesFor) {
+    const demand = { ...recipe.goal };
+    const gap = {};
+
+    for (const item of recipe.items) {
+      const need = Math.max((demand[item] || 0) - (have[item] || 0), 0);
+      gap[item] = need;
+
+      const craft = recipe.crafts[item];
+      if (!craft || need === 0) continue;
+
+      const tries = triesFor(item, craft, need);
+      for (const [mat, per] of Object.entries(craft.cost)) {
+        demand[mat] = (demand[mat] || 0) + per * tries;
+      }
+    }
+    return gap;
+  }
+
+  const result = {
+    worst: run((item, craft, need) => {
+      if (craft.pity) return Math.max(need * craft.pity - (fails[item] || 0), 0);
+      return (craft.rate ?? 1) < 1 ? Infinity : need;
+    }),
+    best: run((item, craft, need) => need),
+  };
+
+  // 各目標物品自己會吃掉多少材料（還沒扣持有）：最非做到保底、最歐一次成功，有成功率時另算期望值
+  const costOf = (craft, tries) =>
+    Object.fromEntries(Object.entries(craft.cost).map(([mat, per]) => [mat, Math.round(per * tries)]));
+  result.breakdown = recipe.targets
+    .filter((item) => result.best[item] > 0)
+    .map((item) => {
+      const craft = recipe.crafts[item];
+      const need = result.best[item];
+      const failCount = fails[item] || 0;
+      const entry = {
+        item,
+        need,
+        worst: costOf(craft, craft.pity ? Math.max(need * craft.pity - failCount, need) : need),
+        best: costOf(craft, need),
+      };
+      if (recipe.probabilistic) entry.expected = costOf(craft, expectedTries(craft, need, failCount));
+      return entry;
+    });
+  if (!recipe.probabilistic) return result;
+
+  const random = createRandom(SIM_SEED);
+  const samples = Array.from({ length: SIM_RUNS }, () =>
+    run((item, craft, need) => rollTries(craft, need, fails[item] || 0, random))
+  );
+  result.expected = {};
+  result.percentile = {};
+  for (const item of recipe.items) {
+    const values = samples.map((gap) => gap[item]).sort((a, b) => a - b);
+    result.expected[item] = Math.round(values.reduce((sum, n) => sum + n, 0) / values.length);
+    result.percentile[item] = values[Math.ceil((values.length * PERCENTILE) / 100) - 1];
+  }
+  return result;
+}
+
+// 做出 need 個要試幾次：每次依成功率擲骰，連續失敗到保底必成功；第一個會接著目前的失敗次數
+function rollTries(craft, need, failCount, random) {
+  const rate = craft.rate ?? 1;
+  let tries = 0;
+  let failed = failCount;
+  for (let made = 0; made < need; tries++) {
+    if ((craft.pity && failed + 1 >= craft.pity) || random() < rate) {
+      made++;
+      failed = 0;
+    } else {
+      failed++;
+    }
+  }
+  return tries;
+}
+
+// 保底 n 次內成功的期望次數：1 + q + q² + … + q^(n−1) ＝ (1 − qⁿ) / p
+function expectedTries(craft, need, failCount) {
+  const rate = craft.rate ?? 1;
+  const within = (n) => (1 - (1 - rate) ** n) / rate;
+  const pity = craft.pity || Infinity;
+  return within(Math.max(pity - failCount, 1)) + (need - 1) * within(pity);
+}
+
+// 簡單的可重現亂數（mulberry32）
+function createRandom(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ===== 回覆文字 =====
+const fmt = (n) => n.toLocaleString();
+
+export function formatRecipeResult(recipe, result) {
+  const { worst, best, expected, percentile, breakdown } = result;
+  const icon = (item) => recipe.icons[item] || DEFAULT_ICON;
+  const columns = expected ? [worst, percentile, expected, best] : [worst, best];
+  const values = (item) => columns.map((c) => fmt(c[item])).join(" / ");
+
+  // 目標物品只被目標需要時每欄都一樣，只寫一個數字
+  const top = recipe.targets.map((item) => {
+    const value = worst[item] === best[item] ? fmt(best[item]) : values(item);
+    return `${icon(item)} ${item}：${value}`;
+  });
+  const rest = recipe.materials.map((item) => `${icon(item)} ${item}：${values(item)}`);
+  const header = expected ? `【最非】 / 【${PERCENTILE}%】 / 【期望】 / 【最歐】` : "【最非】 / 【最歐】";
+
+  const blocks = [`📘 ${recipe.title}缺口`];
+  if (top.length > 0) blocks.push(`\n${top.join("\n")}\n--------------`);
+  blocks.push(`${header}\n${rest.join("\n")}`);
+
+  if (expected) {
+    blocks.push(`（${PERCENTILE}%＝${PERCENTILE}% 的人用這些就能做完；期望＝平均用量）`);
+  }
+  if (breakdown?.length > 0) {
+    const lines = breakdown.map((entry) => {
+      const costs = expected ? [entry.worst, entry.expected, entry.best] : [entry.worst, entry.best];
+      const mats = Object.keys(entry.best).map((mat) => `${mat} ${costs.map((c) => fmt(c[mat])).join(" / ")}`);
+      return `${icon(entry.item)} ${entry.item} ×${entry.need}：${mats.join("、")}`;
+    });
+    const columns = expected ? "最非 / 期望 / 最歐" : "最非 / 最歐";
+    blocks.push(`--------------\n📦 各自消耗（${columns}，未扣持有）\n${lines.join("\n")}`);
+  }
+  return blocks.join("\n");
+}
+
+// command：範例裡要寫的指令（例如 /4轉 或 /計算 4轉）
+export function recipeHelp(recipe, command) {
+  const order = recipe.inputs.map((key, i) => `${i + 1} ${inputLabel(key)}`).join("\n");
+  const named = recipe.targets.length > 0 ? recipe.targets[0] : recipe.materials[0];
+  const lines = [
+    `📘 ${recipe.title}計算說明`,
+    "━━━━━━━━━━━",
+    "請依下列順序輸入（用 . 分隔）：",
+    "",
+    order,
+    "",
+  ];
+  if (recipe.example) lines.push("範例：", `${command} ${recipe.example}`, "");
+  lines.push(
+    "也可以只輸入有的材料（其餘當 0）：",
+    `${command} ${named}=3 ${recipe.materials[recipe.materials.length - 1]}=100`,
+    "",
+    `用 /材料 登記過的話，直接打 ${command} 就好`
+  );
+  return lines.join("\n");
+}
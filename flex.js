@@ -0,0 +1,137 @@
+// ===== LINE Flex Message 版面 =====
+// 依分類各做一張卡片，組成輪播；超過 LINE 的限制就回傳 null，由呼叫端改回文字
+// 另外提供每隻王的快速回覆按鈕（postback）
+
+const MAX_BUBBLES = 12; // 輪播最多 12 張
+const MAX_BYTES = 50_000; // 輪播 JSON 上限約 50KB
+const MAX_BUBBLE_BYTES = 30_000; // 單張卡片上限約 30KB
+
+const LEVEL_STYLES = {
+  window: { color: "#E53935", icon: "🔥" }, // 重生時段中
+  soon: { color: "#E53935", icon: "⏰" }, // 快重生了
+  missed: { color: "#FB8C00", icon: "⚠️" }, // 有錯過（過N）
+  unconfirmed: { color: "#757575", icon: "❔" }, // 連續多輪沒人回報，時間只是推算
+  muted: { color: "#9E9E9E", icon: "🔕" }, // 太久沒人回報，已停止提醒
+  normal: { color: "#333333", icon: "⚔️" },
+  unset: { color: "#9E9E9E", icon: "❌" }, // 尚未設定重生時間
+};
+
+const UNCATEGORIZED = "未分類";
+
+function groupByCategory(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = item.category || UNCATEGORIZED;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return [...groups.entries()];
+}
+
+function text(content, options = {}) {
+  return { type: "text", text: String(content), size: "sm", wrap: true, ...options };
+}
+
+function bubble(title, rows) {
+  return {
+    type: "bubble",
+    size: "mega",
+    header: {
+      type: "box",
+      layout: "vertical",
+      backgroundColor: "#37474F",
+      paddingAll: "12px",
+      contents: [text(title, { color: "#FFFFFF", weight: "bold", size: "md" })],
+    },
+    body: { type: "box", layout: "vertical", spacing: "md", contents: rows },
+  };
+}
+
+function toMessage(bubbles, altText) {
+  if (bubbles.length === 0 || bubbles.length > MAX_BUBBLES) return null;
+  if (bubbles.some((b) => Buffer.byteLength(JSON.stringify(b)) > MAX_BUBBLE_BYTES)) return null;
+
+  const contents = bubbles.length === 1 ? bubbles[0] : { type: "carousel", contents: bubbles };
+  if (Buffer.byteLength(JSON.stringify(contents)) > MAX_BYTES) return null;
+
+  return { type: "flex", altText: altText.slice(0, 400), contents };
+}
+
+// /王：每隻王一列，顏色代表急迫程度
+// items: [{ name, category, level, remain, time, missedCount, sortMin }]（已依 sortMin 排好）
+export function bossListFlex(items, altText) {
+  const groups = groupByCategory(items).sort(
+    ([, a], [, b]) => Math.min(...a.map((i) => i.sortMin)) - Math.min(...b.map((i) => i.sortMin))
+  );
+
+  const bubbles = groups.map(([category, list]) =>
+    bubble(
+      `${category}（${list.length}）`,
+      list.map((item) => {
+        const style = LEVEL_STYLES[item.level];
+        const missed = item.missedCount > 0 ? ` 過${item.missedCount}` : "";
+        return {
+          type: "box",
+          layout: "horizontal",
+          spacing: "sm",
+          contents: [
+            text(`${style.icon} ${item.name}${missed}`, { color: style.color, weight: "bold", flex: 5 }),
+            text(item.remain, { color: style.color, flex: 3, align: "end" }),
+            text(item.time, { color: "#757575", flex: 3, align: "end" }),
+          ],
+        };
+      })
+    )
+  );
+
+  return toMessage(bubbles, altText);
+}
+
+// /資訊：每隻王一個區塊，列出間隔（或定時）、通知日、提醒
+// items: [{ name, category, rule, notify, remind }]
+export function bossInfoFlex(items, altText) {
+  const bubbles = groupByCategory(items).map(([category, list]) =>
+    bubble(
+      `${category}（${list.length}）`,
+      list.map((item) => ({
+        type: "box",
+        layout: "vertical",
+        contents: [
+          text(`🔹 ${item.name}`, { weight: "bold" }),
+          text(item.rule, { size: "xs", color: "#555555" }),
+          text(`通知：${item.notify}`, { size: "xs", color: "#555555" }),
+          text(`提醒：${item.remind}`, { size: "xs", color: "#555555" }),
+        ],
+      }))
+    )
+  );
+
+  return toMessage(bubbles, altText);
+}
+
+// ===== 快速回覆按鈕 =====
+// 按鈕的 postback 由 bot.js 的 handlePostback 處理，延後分鐘數與文字兩邊共用
+const MAX_QUICK_REPLY = 13; // LINE 快速回覆最多 13 個
+export const POSTBACK_DELAY_MIN = 5;
+export const POSTBACK_LABELS = { kill: "剛擊殺", skip: "沒出", delay: `延後${POSTBACK_DELAY_MIN}分` };
+const QUICK_ACTIONS = Object.entries(POSTBACK_LABELS).map(([action, label]) => ({ action, label }));
+
+function postback(label, data, displayText) {
+  return {
+    type: "action",
+    action: { type: "postback", label: label.slice(0, 20), data, displayText },
+  };
+}
+
+// 每隻王三個按鈕，依傳入順序放到滿為止；資料帶王的完整名稱，由 postback 處理端驗證
+export function bossQuickReply(names) {
+  const items = [];
+  for (const name of names) {
+    if (items.length + QUICK_ACTIONS.length > MAX_QUICK_REPLY) break;
+    for (const { action, label } of QUICK_ACTIONS) {
+      const data = new URLSearchParams({ action, boss: name }).toString();
+      items.push(postback(`${name} ${label}`, data, `${label} ${name}`));
+    }
+  }
+  return items.length > 0 ? { items } : undefined;
+}
@@ -0,0 +1,137 @@
+// ===== 指令路由 =====
+// 每個指令宣告名稱（含別名）、參數、權限與說明；解析、參數檢查、用法提示與 /幫助 都由這裡統一產生
+
+// 「小時.分」→ { h, m }，例如 3.30 → 3小時30分，格式不對回傳 null
+export function parseHourMin(str) {
+  const raw = parseFloat(str);
+  if (!/^\d+(\.\d{1,2})?$/.test(str) || Number.isNaN(raw)) return null;
+  const h = Math.floor(raw);
+  const m = Math.round((raw - h) * 100);
+  if (m > 59) return null;
+  return { h, m };
+}
+
+// ===== 參數型別 =====
+// parse 回傳轉換後的值；格式不對回傳 undefined，並用 hint 說明正確寫法
+const ARG_TYPES = {
+  text: {
+    parse: (raw) => raw,
+  },
+  hourMin: {
+    parse: (raw) => parseHourMin(raw) ?? undefined,
+    hint: () => "小時.分，例如 1.20",
+  },
+  int: {
+    parse: (raw, arg) => {
+      const n = Number(raw);
+      const { min = 0, max = Infinity } = arg;
+      return Number.isInteger(n) && n >= min && n <= max ? n : undefined;
+    },
+    hint: (arg) => `${arg.min ?? 0}～${arg.max} 的整數`,
+  },
+  choice: {
+    parse: (raw, arg) => (arg.choices.includes(raw) ? raw : undefined),
+    hint: (arg) => `只能是 ${arg.choices.join("、")}`,
+  },
+};
+
+// 「/設定 王名 3.00」→ { name: "/設定", tokens: ["王名", "3.00"] }（全形空白視同半形）
+export function parseCommandLine(text) {
+  const [name, ...tokens] = text.trim().replace(/　/g, " ").split(/\s+/);
+  return { name, tokens };
+}
+
+function formatArg(arg) {
+  const label = arg.rest ? `${arg.label}…` : arg.label;
+  return arg.optional ? `[${label}]` : label;
+}
+
+// 用法：「/設定 王名 間隔(小時.分) [最長間隔]」
+export function formatUsage(command) {
+  return [command.names[0], ...command.args.map(formatArg)].join(" ");
+}
+
+// 依宣告的參數檢查並轉換，成功回傳 { values }，失敗回傳 { error }
+// rest 參數會收下剩餘所有字（陣列）
+function parseArgs(command, tokens) {
+  if (command.raw) return { values: {} };
+  const values = {};
+  let i = 0;
+
+  for (const arg of command.args) {
+    if (arg.rest) {
+      const rest = tokens.slice(i);
+      if (rest.length === 0 && !arg.optional) return { error: `缺少「${arg.label}」` };
+      values[arg.key] = rest;
+      i = tokens.length;
+      continue;
+    }
+
+    const raw = tokens[i++];
+    if (raw === undefined) {
+      if (arg.optional) continue;
+      return { error: `缺少「${arg.label}」` };
+    }
+
+    const type = ARG_TYPES[arg.type || "text"];
+    const value = type.parse(raw, arg);
+    if (value === undefined) return { error: `「${arg.label}」格式錯誤：${raw}（${type.hint(arg)}）` };
+    values[arg.key] = value;
+  }
+
+  if (i < tokens.length) return { error: "參數太多" };
+  return { values };
+}
+
+// ===== 建立路由 =====
+// commands: [{ names, args, section, summary, details, admin, raw, run(ctx) }]
+//   admin：true 或 (values) => boolean，只有管理員能用
+//   raw：args 只用來產生用法說明，不檢查也不轉換，由 run 自己解析 tokens（例如 /重生 一次登記多隻，壞掉的那組要列在結果裡）
+export function createRouter(commands) {
+  const byName = new Map();
+  for (const command of commands) {
+    command.args = command.args || [];
+    for (const name of command.names) byName.set(name, command);
+  }
+
+  function find(name) {
+    return byName.get(name) || null;
+  }
+
+  // 解析一則訊息；不是指令回傳 null
+  function match(text) {
+    const { name, tokens } = parseCommandLine(text);
+    const command = find(name);
+    if (!command) return null;
+
+    const { values, error } = parseArgs(command, tokens);
+    return { command, name, tokens, values, error };
+  }
+
+  function requiresAdmin(command, values = {}) {
+    return typeof command.admin === "function" ? command.admin(values) : Boolean(command.admin);
+  }
+
+  function usageText(command, error) {
+    const lines = [`❌ ${error}`, `用法：${formatUsage(command)}`, `　→ ${command.summary}`];
+    if (command.details) lines.push(...command.details.map((d) => `　　${d}`));
+    return lines.join("\n");
+  }
+
+  // 依 sections 順序產生 /幫助（🔒＝管理員限定；依參數決定的另外寫在 details）
+  function helpText(sections) {
+    const blocks = sections.map(({ key, title }) => {
+      const lines = [title];
+      for (const command of commands.filter((c) => c.section === key)) {
+        const lock = command.admin === true ? " 🔒" : "";
+        lines.push(`${formatUsage(command)}${lock}`, `　→ ${command.summary}`);
+        if (command.details) lines.push(...command.details.map((d) => `　　${d}`));
+        if (command.names.length > 1) lines.push(`　　也可用 ${command.names.slice(1).join("、")}`);
+      }
+      return lines.join("\n");
+    });
+    return `📖 指令說明：\n━━━━━━━━━━━\n${blocks.join("\n━━━━━━━━━━━\n")}\n━━━━━━━━━━━\n🔒＝只有管理員能用`;
+  }
+
+  return { find, match, requiresAdmin, usageText, helpText };
+}
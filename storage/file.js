@@ -0,0 +1,93 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createWriteQueue, createCoalescer } from "./queue.js";
+
+// ===== 本機 JSON 檔儲存 =====
+// 不需要 Google 服務帳號，適合小群組或離線開發
+// 檔案格式：{ settings: {...}, bosses: { 群組ID: { 王名: {...} } }, history: [{...}], inventories: { 使用者ID: { 材料: 數量 } }, recipes: [配方] }
+// recipes 是自訂的製作配方（格式見 crafting.js），只會讀取，不會寫回
+export function createFileStorage({ file }) {
+  const enqueueWrite = createWriteQueue({ retries: 3, isRetryable: (err) => err.code === "EBUSY" });
+  const enqueueOnce = createCoalescer(enqueueWrite);
+  let data = { settings: {}, bosses: {}, history: [], inventories: {} };
+
+  async function read() {
+    try {
+      data = { settings: {}, bosses: {}, history: [], inventories: {}, ...JSON.parse(await fs.readFile(file, "utf8")) };
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      console.log(`📄 找不到 ${file}，將建立新的資料檔`);
+    }
+    return data;
+  }
+
+  // 先寫暫存檔再改名，避免寫到一半當機把資料檔弄壞
+  async function flush() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  function write(label) {
+    return enqueueOnce("file", label, async () => {
+      await flush();
+      console.log(`✅ 已更新資料檔（${path.basename(file)}）`);
+    });
+  }
+
+  async function loadSettings(defaults) {
+    await read();
+    return Object.fromEntries(Object.entries(data.settings).filter(([key]) => key in defaults));
+  }
+
+  function saveSettings(settings) {
+    data.settings = settings;
+    return write("更新全域設定");
+  }
+
+  async function loadBossTables() {
+    await read();
+    return structuredClone(data.bosses);
+  }
+
+  function saveBossTable(scopeId, table) {
+    data.bosses[scopeId] = table;
+    return write(`更新 ${scopeId} 王表`);
+  }
+
+  function appendHistory(entries) {
+    data.history.push(...entries);
+    return write(`新增 ${entries.length} 筆紀錄`);
+  }
+
+  async function loadHistory(scopeId) {
+    return data.history.filter((e) => e.scopeId === scopeId);
+  }
+
+  async function loadInventories() {
+    return structuredClone(data.inventories);
+  }
+
+  function saveInventory(userId, inventory) {
+    data.inventories[userId] = inventory;
+    return write(`更新 ${userId} 的材料`);
+  }
+
+  async function loadRecipes() {
+    return data.recipes || [];
+  }
+
+  return {
+    name: `本機檔案 ${file}`,
+    loadSettings,
+    saveSettings,
+    loadBossTables,
+    saveBossTable,
+    appendHistory,
+    loadHistory,
+    loadInventories,
+    saveInventory,
+    loadRecipes,
+  };
+}
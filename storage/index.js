@@ -0,0 +1,25 @@
+import { createSheetsStorage } from "./sheets.js";
+import { createFileStorage } from "./file.js";
+
+// ===== 依環境變數選擇儲存方式 =====
+// STORAGE=sheets → Google Sheets（預設，有 GOOGLE_SHEETS_ID 時）
+// STORAGE=file   → 本機 JSON 檔（DATA_FILE，預設 bot.json）
+export function createStorage(env = process.env) {
+  const type = env.STORAGE || (env.GOOGLE_SHEETS_ID ? "sheets" : "file");
+
+  if (type === "file") {
+    return createFileStorage({ file: env.DATA_FILE || "bot.json" });
+  }
+
+  if (type === "sheets") {
+    const sheetId = env.GOOGLE_SHEETS_ID;
+    const email = env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
+    const privateKey = env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, "\n");
+    if (!sheetId || !email || !privateKey) {
+      throw new Error("請設定 GOOGLE_SHEETS_ID, GOOGLE_SERVICE_ACCOUNT_EMAIL, GOOGLE_PRIVATE_KEY 等環境變數，或改用 STORAGE=file");
+    }
+    return createSheetsStorage({ sheetId, email, privateKey });
+  }
+
+  throw new Error(`不支援的 STORAGE：${type}（可用 sheets 或 file）`);
+}
@@ -0,0 +1,45 @@
+// ===== 寫入佇列 =====
+// 所有寫入排隊依序執行，避免多人同時下指令時互相覆蓋；暫時性錯誤（例如配額限制）會退避重試
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function createWriteQueue({ retries = 5, isRetryable = () => false } = {}) {
+  let chain = Promise.resolve();
+
+  async function withRetry(label, fn) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (err) {
+        if (attempt >= retries || !isRetryable(err)) throw err;
+        const wait = 1000 * 2 ** (attempt - 1);
+        console.warn(`⏳ ${label} 失敗（${err.response?.status ?? err.code}），${wait / 1000} 秒後重試`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  return function enqueue(label, fn) {
+    const task = chain.then(() => withRetry(label, fn));
+    chain = task.catch(() => {});
+    return task;
+  };
+}
+
+// 同一個 key 還沒開始執行的寫入只排一次（執行時才讀最新資料，所以合併不會漏）
+export function createCoalescer(enqueue) {
+  const pending = new Map();
+
+  return function enqueueOnce(key, label, fn) {
+    if (pending.has(key)) return pending.get(key);
+
+    const task = enqueue(label, () => {
+      pending.delete(key);
+      return fn();
+    });
+    pending.set(key, task);
+    return task;
+  };
+}
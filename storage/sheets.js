@@ -0,0 +1,492 @@
+import { google } from "googleapis";
+import { createWriteQueue, createCoalescer } from "./queue.js";
+
+// ===== Google Sheets 儲存 =====
+// Settings 分頁：A 欄 key、B 欄 value
+// Boss_<群組ID> 分頁：每個群組 / 聊天室 / 個人各自一張王表（舊版只有一張 Boss）
+// History 分頁：所有群組的擊殺 / 重生登記紀錄，只往下新增
+// Inventory 分頁：每位使用者一列「使用者ID | 材料」，材料寫成「墨水晶=55, 教皇認可失敗=1」
+// Recipes 分頁（可選，自己建立）：自訂製作配方，每列「配方 | 項目 | 內容 | 保底 | 成功率」
+//   項目是 目標 / 順序 / 標題 / 別名 / 範例，其他視為可製作的物品（內容寫它的材料）
+//   例如「4轉 | 教皇認可 | 詛咒精華=5, 優級轉職信物=8 | 6 | 0.2」
+const SETTINGS_SHEET = "Settings";
+const HISTORY_SHEET = "History";
+const HISTORY_HEADER = ["時間", "群組", "王名", "動作", "擊殺時間", "下次重生", "錯過", "回報者ID", "回報者", "指令", "作廢"];
+const HISTORY_LAST_COL = String.fromCharCode(64 + HISTORY_HEADER.length); // 最後一欄（K）
+const INVENTORY_SHEET = "Inventory";
+const INVENTORY_HEADER = ["使用者ID", "材料"];
+const RECIPES_SHEET = "Recipes";
+const LEGACY_SHEET = "Boss";
+const BOSS_SHEET_PREFIX = `${LEGACY_SHEET}_`;
+const BOSS_HEADER = [
+  "王名", "間隔", "下次重生", "已通知", "通知日", "錯過次數", "分類", "提醒", "最長間隔", "定時", "定時星期", "別名",
+  "上次擊殺",
+];
+const BOSS_LAST_COL = String.fromCharCode(64 + BOSS_HEADER.length); // 最後一欄（M）
+
+function bossSheetName(scopeId) {
+  return `${BOSS_SHEET_PREFIX}${scopeId}`;
+}
+
+function splitList(str) {
+  return str ? String(str).split(",").map((s) => s.trim()).filter(Boolean) : [];
+}
+
+// 提醒欄「30,5,0」→ [30, 5, 0]；不是分鐘數（例如舊版 H2 的「開啟通知」）就當作沒設定
+function parseRemind(str) {
+  const stages = splitList(str).map(Number);
+  if (stages.length === 0 || stages.some((n) => !Number.isInteger(n) || n < 0)) return null;
+  return stages;
+}
+
+// ===== 設定值文字轉換 =====
+// Sheets 只存文字，依預設值的型別轉回來（布林 TRUE/FALSE、數字、逗號清單、物件用 JSON）
+function encodeSetting(value) {
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (Array.isArray(value)) return value.join(",");
+  if (value && typeof value === "object") return JSON.stringify(value);
+  return value ?? "";
+}
+
+function decodeSetting(raw, defaultValue) {
+  if (typeof defaultValue === "boolean") return raw === "TRUE";
+  if (typeof defaultValue === "number") return Number(raw);
+  if (Array.isArray(defaultValue)) return splitList(raw);
+  if (defaultValue && typeof defaultValue === "object") {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return defaultValue;
+    }
+  }
+  return String(raw);
+}
+
+// ===== 王資料列轉換 =====
+function parseBossRow(r) {
+  const [
+    name, interval, nextRespawn, notified, notifyDate, missedCount, category, remind, intervalMax,
+    scheduleTimes, scheduleDays, aliases, lastKill,
+  ] = r;
+  const b = {
+    interval: parseFloat(interval) || 0,
+    intervalMax: parseFloat(intervalMax) || 0, // 最長間隔（0＝固定間隔）
+    nextRespawn: nextRespawn || null,
+    notified: splitList(notified).map(Number), // 這一輪已發過的提醒階段（分鐘）
+    notifyDate: notifyDate || "ALL",
+    missedCount: parseInt(missedCount) || 0,
+    category: category || "", // ✅ 加入分類欄
+    remind: parseRemind(remind),
+    schedule: scheduleTimes ? { times: splitList(scheduleTimes), days: scheduleDays || "ALL" } : null, // 定時王
+    aliases: splitList(aliases),
+    lastKill: lastKill || null,
+  };
+
+  // 舊版 D 欄只有 TRUE/FALSE：保留 true 讓上層換成這一輪的所有提醒階段
+  if (notified === "TRUE") b.notified = true;
+  else if (notified === "FALSE") b.notified = [];
+
+  return [name, b];
+}
+
+function toBossRow(name, b) {
+  return [
+    name,
+    b.interval,
+    b.nextRespawn || "",
+    (b.notified || []).join(","),
+    b.notifyDate || "ALL",
+    b.missedCount || 0,
+    b.category || "", // ✅ 加入分類
+    b.remind ? b.remind.join(",") : "",
+    b.intervalMax || "",
+    b.schedule ? b.schedule.times.join(",") : "",
+    b.schedule ? b.schedule.days : "",
+    (b.aliases || []).join(","),
+    b.lastKill || "",
+  ];
+}
+
+// ===== 紀錄列轉換 =====
+function toHistoryRow(e) {
+  return [
+    e.time, e.scopeId, e.boss, e.action, e.killTime || "", e.nextRespawn || "", e.missed || 0,
+    e.userId || "", e.displayName || "", e.command || "", e.undoes || "",
+  ];
+}
+
+function parseHistoryRow(r) {
+  const [time, scopeId, boss, action, killTime, nextRespawn, missed, userId, displayName, command, undoes] = r;
+  return {
+    time,
+    scopeId,
+    boss,
+    action,
+    killTime: killTime || null,
+    nextRespawn: nextRespawn || null,
+    missed: parseInt(missed) || 0,
+    userId: userId || "",
+    displayName: displayName || "",
+    command: command || "",
+    undoes: undoes || null, // action 是 undo 時：被 /復原 作廢的那筆的時間
+  };
+}
+
+// ===== 配方列轉換 =====
+// 「詛咒精華=5, 優級轉職信物=8」→ { 詛咒精華: 5, 優級轉職信物: 8 }
+function splitWords(str) {
+  return String(str || "").split(/[,，、\s]+/).filter(Boolean);
+}
+
+function parseAmounts(str) {
+  return Object.fromEntries(
+    splitWords(str).map((pair) => {
+      const [item, n] = pair.split(/[=＝]/);
+      return [item, Number(n)];
+    })
+  );
+}
+
+function formatAmounts(amounts) {
+  return Object.entries(amounts).map(([item, n]) => `${item}=${n}`).join(", ");
+}
+
+// 同一個配方的列合併成一個配方（格式檢查交給 crafting.js）
+function parseRecipeRows(rows) {
+  const recipes = new Map();
+  for (const [name, key, content, pity, rate] of rows) {
+    if (!name || !key) continue;
+    if (!recipes.has(name)) recipes.set(name, { name, goal: {}, crafts: {} });
+    const recipe = recipes.get(name);
+
+    if (key === "目標") recipe.goal = parseAmounts(content);
+    else if (key === "順序") recipe.inputs = splitWords(content);
+    else if (key === "標題") recipe.title = content;
+    else if (key === "別名") recipe.aliases = splitWords(content);
+    else if (key === "範例") recipe.example = content;
+    else {
+      recipe.crafts[key] = {
+        cost: parseAmounts(content),
+        pity: pity ? Number(pity) : undefined,
+        rate: rate ? Number(rate) : undefined,
+      };
+    }
+  }
+  return [...recipes.values()];
+}
+
+// 比對用的列內容（Sheets 回傳時會省略尾端空白格，兩邊都去掉再比）
+function rowKey(values) {
+  const cells = values.map((v) => String(v ?? ""));
+  while (cells.length > 0 && cells[cells.length - 1] === "") cells.pop();
+  return JSON.stringify(cells);
+}
+
+function isRetryableError(err) {
+  const status = Number(err.response?.status ?? err.code);
+  return status === 429 || status >= 500;
+}
+
+// api：可傳入自訂的 Sheets 用戶端（測試用記憶體版），沒傳就用服務帳號連 Google
+export function createSheetsStorage({ sheetId, email, privateKey, api }) {
+  const sheets = api || google.sheets({
+    version: "v4",
+    auth: new google.auth.JWT(email, null, privateKey, ["https://www.googleapis.com/auth/spreadsheets"]),
+  });
+  const enqueueWrite = createWriteQueue({ retries: 5, isRetryable: isRetryableError });
+  const enqueueOnce = createCoalescer(enqueueWrite);
+
+  // ===== 工作表（分頁）管理 =====
+  let knownSheets = null; // 已存在的分頁名稱快取
+
+  async function listSheets() {
+    const meta = await sheets.spreadsheets.get({ spreadsheetId: sheetId });
+    const props = meta.data.sheets.map((s) => s.properties);
+    knownSheets = new Set(props.map((p) => p.title));
+    return props;
+  }
+
+  // 分頁不存在就建立（可順便寫入標題列），回傳是否為新建立
+  async function ensureSheet(title, header) {
+    if (!knownSheets) await listSheets();
+    if (knownSheets.has(title)) return false;
+
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: sheetId,
+      resource: { requests: [{ addSheet: { properties: { title } } }] },
+    });
+    knownSheets.add(title);
+
+    if (header) {
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: `${title}!A1`,
+        valueInputOption: "RAW",
+        resource: { values: [header] },
+      });
+    }
+    console.log(`📄 已建立工作表：${title}`);
+    return true;
+  }
+
+  // ===== 全域設定 =====
+  async function loadSettings(defaults) {
+    await ensureSheet(SETTINGS_SHEET);
+    const res = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${SETTINGS_SHEET}!A2:B`,
+    });
+    const raw = Object.fromEntries(res.data.values || []);
+
+    // 舊版把總通知開關寫在 Boss!H2，沒有 Settings 時沿用
+    if (raw.notifyAll === undefined && knownSheets.has(LEGACY_SHEET)) {
+      const legacy = await sheets.spreadsheets.values.get({
+        spreadsheetId: sheetId,
+        range: `${LEGACY_SHEET}!H2`,
+      });
+      const value = legacy.data.values?.[0]?.[0];
+      if (value) raw.notifyAll = value === "開啟通知" ? "TRUE" : "FALSE";
+    }
+
+    const stored = {};
+    for (const [key, value] of Object.entries(raw)) {
+      if (key in defaults) stored[key] = decodeSetting(value, defaults[key]);
+    }
+    return stored;
+  }
+
+  function saveSettings(settings) {
+    return enqueueOnce(SETTINGS_SHEET, "更新全域設定", () => writeSettings(settings));
+  }
+
+  async function writeSettings(settings) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: sheetId,
+      range: `${SETTINGS_SHEET}!A1:B`,
+      valueInputOption: "RAW",
+      resource: {
+        values: [["key", "value"], ...Object.entries(settings).map(([key, value]) => [key, encodeSetting(value)])],
+      },
+    });
+    console.log("✅ 已更新全域設定");
+  }
+
+  // 舊版只有一張 Boss 表：改名成 owner 的分頁
+  async function migrateLegacySheet(props, owner) {
+    const legacy = props.find((p) => p.title === LEGACY_SHEET);
+    if (!legacy) return;
+
+    if (!owner) {
+      console.warn(`⚠️ 找到舊版 ${LEGACY_SHEET} 工作表，請設定 LEGACY_BOSS_OWNER＝要接手的群組 ID（可用 /我的ID 查詢）後重新啟動`);
+      return;
+    }
+
+    const title = bossSheetName(owner);
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: sheetId,
+      resource: {
+        requests: [
+          {
+            updateSheetProperties: {
+              properties: { sheetId: legacy.sheetId, title },
+              fields: "title",
+            },
+          },
+        ],
+      },
+    });
+    knownSheets.delete(LEGACY_SHEET);
+    knownSheets.add(title);
+    console.log(`📦 已將舊版 ${LEGACY_SHEET} 工作表移轉為 ${title}`);
+  }
+
+  // ===== 列位置追蹤 =====
+  // scopeId → { rows: { 王名: { row, key } }, free: [已清空可重用的列], next: 下一個新列 }
+  // key 是上次寫入的內容，沒變的王就不重寫
+  let sheetRows = {};
+
+  function getSheetRows(scopeId) {
+    if (!sheetRows[scopeId]) sheetRows[scopeId] = { rows: {}, free: [], next: 2 };
+    return sheetRows[scopeId];
+  }
+
+  // ===== 載入所有群組的王表 =====
+  async function loadBossTables({ legacyOwner } = {}) {
+    await migrateLegacySheet(await listSheets(), legacyOwner);
+
+    const tabs = [...knownSheets].filter((t) => t.startsWith(BOSS_SHEET_PREFIX));
+    const tables = {};
+    sheetRows = {};
+    if (tabs.length === 0) return tables;
+
+    const res = await sheets.spreadsheets.values.batchGet({
+      spreadsheetId: sheetId,
+      ranges: tabs.map((t) => `${t}!A2:${BOSS_LAST_COL}`),
+    });
+
+    res.data.valueRanges.forEach((vr, i) => {
+      const scopeId = tabs[i].slice(BOSS_SHEET_PREFIX.length);
+      const table = (tables[scopeId] = {});
+      const state = getSheetRows(scopeId);
+      const values = vr.values || [];
+
+      values.forEach((r, idx) => {
+        const row = idx + 2;
+        if (!r[0]) {
+          state.free.push(row);
+          return;
+        }
+        const [name, b] = parseBossRow(r);
+        table[name] = b;
+        state.rows[name] = { row, key: rowKey(r) };
+      });
+      state.next = values.length + 2;
+    });
+    return tables;
+  }
+
+  // ===== 將某個群組的王表寫回（排入寫入佇列，執行時才讀最新的 table）=====
+  function saveBossTable(scopeId, table) {
+    return enqueueOnce(scopeId, `更新 ${bossSheetName(scopeId)}`, () => writeBossRows(scopeId, table));
+  }
+
+  // 只寫有變動的列、清空已刪除的列；寫入成功才更新列位置紀錄
+  async function writeBossRows(scopeId, table) {
+    const sheetName = bossSheetName(scopeId);
+    await ensureSheet(sheetName, BOSS_HEADER);
+
+    const state = getSheetRows(scopeId);
+    const rows = { ...state.rows };
+    const free = [...state.free];
+    let next = state.next;
+
+    // 已刪除的王 → 空出來的列
+    const removed = Object.keys(rows).filter((name) => !table[name]);
+    removed.forEach((name) => {
+      free.push(rows[name].row);
+      delete rows[name];
+    });
+    free.sort((a, b) => a - b);
+
+    const data = [];
+    for (const [name, b] of Object.entries(table)) {
+      const values = toBossRow(name, b);
+      const key = rowKey(values);
+      if (rows[name]?.key === key) continue;
+
+      const row = rows[name]?.row ?? free.shift() ?? next++;
+      rows[name] = { row, key };
+      data.push({ range: `${sheetName}!A${row}:${BOSS_LAST_COL}${row}`, values: [values] });
+    }
+
+    // 空出來但沒被新王補上的列要清掉，避免留下舊資料
+    const stale = free.filter((row) => !state.free.includes(row));
+    if (data.length === 0 && stale.length === 0) return;
+
+    if (stale.length > 0) {
+      await sheets.spreadsheets.values.batchClear({
+        spreadsheetId: sheetId,
+        resource: { ranges: stale.map((row) => `${sheetName}!A${row}:${BOSS_LAST_COL}${row}`) },
+      });
+    }
+    if (data.length > 0) {
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: sheetId,
+        resource: { valueInputOption: "RAW", data },
+      });
+    }
+
+    sheetRows[scopeId] = { rows, free, next };
+    console.log(`✅ 已更新 Google Sheet（${sheetName}，${data.length} 列更新、${stale.length} 列清除）`);
+  }
+
+  // ===== 擊殺紀錄 =====
+  function appendHistory(entries) {
+    return enqueueWrite(`新增 ${entries.length} 筆紀錄`, async () => {
+      await ensureSheet(HISTORY_SHEET, HISTORY_HEADER);
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: sheetId,
+        range: `${HISTORY_SHEET}!A:${HISTORY_LAST_COL}`,
+        valueInputOption: "RAW",
+        insertDataOption: "INSERT_ROWS",
+        resource: { values: entries.map(toHistoryRow) },
+      });
+    });
+  }
+
+  // 某個群組的所有紀錄（依寫入順序）
+  async function loadHistory(scopeId) {
+    if (!knownSheets) await listSheets();
+    if (!knownSheets.has(HISTORY_SHEET)) return [];
+
+    const res = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${HISTORY_SHEET}!A2:${HISTORY_LAST_COL}`,
+    });
+    return (res.data.values || [])
+      .filter((r) => r[1] === scopeId && r[2])
+      .map(parseHistoryRow);
+  }
+
+  // ===== 使用者材料 =====
+  let inventoryRows = {}; // 使用者ID → 列號
+  let nextInventoryRow = 2;
+
+  async function loadInventories() {
+    if (!knownSheets) await listSheets();
+    if (!knownSheets.has(INVENTORY_SHEET)) return {};
+
+    const res = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${INVENTORY_SHEET}!A2:B`,
+    });
+    const values = res.data.values || [];
+    const inventories = {};
+    inventoryRows = {};
+    values.forEach(([userId, amounts], idx) => {
+      if (!userId) return;
+      inventoryRows[userId] = idx + 2;
+      inventories[userId] = parseAmounts(amounts);
+    });
+    nextInventoryRow = values.length + 2;
+    return inventories;
+  }
+
+  function saveInventory(userId, inventory) {
+    return enqueueOnce(`inventory:${userId}`, `更新 ${userId} 的材料`, async () => {
+      await ensureSheet(INVENTORY_SHEET, INVENTORY_HEADER);
+      const row = (inventoryRows[userId] ??= nextInventoryRow++);
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: `${INVENTORY_SHEET}!A${row}:B${row}`,
+        valueInputOption: "RAW",
+        resource: { values: [[userId, formatAmounts(inventory)]] },
+      });
+    });
+  }
+
+  // ===== 自訂配方 =====
+  async function loadRecipes() {
+    if (!knownSheets) await listSheets();
+    if (!knownSheets.has(RECIPES_SHEET)) return [];
+
+    const res = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${RECIPES_SHEET}!A2:E`,
+    });
+    return parseRecipeRows(res.data.values || []);
+  }
+
+  return {
+    name: "Google Sheets",
+    loadSettings,
+    saveSettings,
+    loadBossTables,
+    saveBossTable,
+    appendHistory,
+    loadHistory,
+    loadInventories,
+    saveInventory,
+    loadRecipes,
+  };
+}
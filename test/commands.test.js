@@ -0,0 +1,585 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness, createMemorySheets } from "./helpers.js";
+
+// 時鐘固定在 2026/01/05（一）12:00 台北時間
+let h;
+
+async function setup(options) {
+  h = await createHarness(options);
+}
+
+async function sendAll(...texts) {
+  for (const text of texts) await h.send(text);
+}
+
+describe("webhook", () => {
+  beforeEach(() => setup());
+  afterEach(() => h.close());
+
+  it("簽章錯誤的請求不處理", async () => {
+    const event = {
+      type: "message",
+      replyToken: "t",
+      source: { type: "user", userId: "U1" },
+      timestamp: 0,
+      message: { type: "text", id: "1", text: "/幫助" },
+    };
+    const status = await h.webhook([event], { signature: "bad" });
+    assert.notEqual(status, 200);
+    assert.equal(h.client.replies.length, 0);
+  });
+
+  it("一般聊天與非文字訊息不回覆", async () => {
+    assert.equal(await h.send("大家好"), null);
+    assert.equal(await h.send("/不存在的指令"), null);
+
+    const status = await h.webhook([
+      { type: "message", replyToken: "t", source: { type: "user", userId: "U1" }, timestamp: 0, message: { type: "sticker", id: "1" } },
+    ]);
+    assert.equal(status, 200);
+    assert.equal(h.client.replies.length, 0);
+  });
+
+  it("全形空白也能分隔參數", async () => {
+    assert.equal(await h.send("/設定　冰女　3.00"), "✅ 已設定 冰女 重生間隔 3小時0分");
+  });
+});
+
+describe("/設定", () => {
+  beforeEach(() => setup());
+  afterEach(() => h.close());
+
+  it("設定重生間隔與時段", async () => {
+    assert.equal(await h.send("/設定 冰女 3.00"), "✅ 已設定 冰女 重生間隔 3小時0分");
+    assert.equal(await h.send("/設定 冰女 3.00 3.30"), "✅ 已設定 冰女 重生間隔 3小時0分～3小時30分");
+  });
+
+  it("參數不對時回覆用法", async () => {
+    const missing = await h.send("/設定 冰女");
+    assert.match(missing, /^❌ 缺少「間隔\(小時\.分\)」/);
+    assert.match(missing, /用法：\/設定 王名 間隔\(小時\.分\) \[最長間隔\]/);
+
+    assert.match(await h.send("/設定 冰女 abc"), /「間隔\(小時\.分\)」格式錯誤：abc/);
+    assert.match(await h.send("/設定 冰女 1.75"), /格式錯誤：1\.75/);
+    assert.match(await h.send("/設定 冰女 3.00 2.00"), /最長間隔不可小於最短間隔/);
+    assert.match(await h.send("/設定 冰女 3.00 3.30 4"), /參數太多/);
+  });
+
+  it("資料會寫進 Sheets，重啟後讀得回來", async () => {
+    await sendAll("/設定 冰女 3.00", "/重生 冰女 1.20", "/分類 冰 冰女");
+    const sheets = h.sheets;
+    await h.close();
+
+    h = await createHarness({ sheets });
+    assert.deepEqual(sheets.read("Boss_G1!A2:G2"), [["冰女", "3", "2026-01-05T05:20:00.000Z", "", "ALL", "0", "冰"]]);
+    assert.match(await h.send("/王 冰女"), /預計 13:20/);
+  });
+});
+
+describe("/重生 與 /殺", () => {
+  beforeEach(async () => {
+    await setup();
+    await sendAll("/設定 冰女 3.00", "/設定 火男 1.00");
+  });
+  afterEach(() => h.close());
+
+  it("登記剩餘時間", async () => {
+    assert.equal(await h.send("/重生 冰女 1.20"), "🕒 成員U1 已設定 冰女 將於 13:20 重生");
+    assert.equal(await h.send("/重生 雷王 1.00"), "請先用 /設定 雷王 間隔(小時.分)");
+    assert.equal(await h.send("/重生 冰女 abc"), "冰女 的剩餘時間格式錯誤：abc（小時.分，例如 1.20）");
+    assert.match(await h.send("/重生"), /^❌ 缺少「王名」\n用法：\/重生 王名 剩餘時間\(小時\.分\)/);
+  });
+
+  it("一次登記多隻", async () => {
+    const reply = await h.send("/重生\n冰女 1.20\n火男 0.30\n雷王 1.00\n壞掉");
+    assert.equal(
+      reply,
+      "🕒 成員U1 已登記 2 隻王\n・冰女 → 13:20\n・火男 → 12:30\n❌ 失敗 2 筆\n・請先用 /設定 雷王 間隔(小時.分)\n・壞掉：格式應為「王名 剩餘時間」"
+    );
+  });
+
+  it("一次登記多隻時第一組壞掉，其他照樣登記", async () => {
+    assert.equal(
+      await h.send("/重生\n冰女 abc\n火男 0.45"),
+      "🕒 成員U1 已登記 1 隻王\n・火男 → 12:45\n❌ 失敗 1 筆\n・冰女 的剩餘時間格式錯誤：abc（小時.分，例如 1.20）"
+    );
+    assert.equal(
+      await h.send("/重生\n冰女\n火男 0.30"),
+      "🕒 成員U1 已登記 1 隻王\n・火男 → 12:30\n❌ 失敗 1 筆\n・冰女：格式應為「王名 剩餘時間」"
+    );
+  });
+
+  it("登記擊殺時間", async () => {
+    assert.equal(await h.send("/殺 冰女"), "🕒 成員U1 已設定 冰女 將於 15:00 重生");
+    assert.equal(await h.send("/殺 冰女 11:50"), "🕒 成員U1 已設定 冰女 將於 14:50 重生");
+    assert.equal(await h.send("/殺 冰女 -15"), "🕒 成員U1 已設定 冰女 將於 14:45 重生");
+    assert.match(await h.send("/殺 冰女 xx"), /^❌ 擊殺時間格式錯誤/);
+  });
+
+  it("擊殺時間的範圍", async () => {
+    // 比現在晚幾分鐘內當作剛剛，晚更多才當作昨天
+    assert.equal(await h.send("/殺 冰女 12:03"), "🕒 成員U1 已設定 冰女 將於 15:00 重生");
+    // 昨天 12:10 殺的，重生時間早就過了 → 推到目前這一輪，不算錯過
+    assert.equal(await h.send("/殺 冰女 12:10"), "🕒 成員U1 已設定 冰女 將於 12:10 重生");
+    assert.doesNotMatch(await h.send("/王 冰女"), /錯過/);
+    assert.equal(await h.send("/殺 火男 09:30"), "🕒 成員U1 已設定 火男 將於 12:30 重生");
+    assert.equal(await h.send("/殺 冰女 -99999"), "❌ 擊殺時間最多只能往前 1440 分鐘");
+    assert.equal(await h.send("/殺 冰女 -1440"), "🕒 成員U1 已設定 冰女 將於 12:00 重生");
+  });
+
+  it("王名可以用開頭或別名", async () => {
+    assert.equal(await h.send("/別名 冰女 冰 雪女"), "✅ 冰女 的別名：冰、雪女");
+    assert.equal(await h.send("/重生 雪女 1.00"), "🕒 成員U1 已設定 冰女 將於 13:00 重生");
+    assert.equal(await h.send("/殺 火"), "🕒 成員U1 已設定 火男 將於 13:00 重生");
+    assert.equal(await h.send("/殺 男"), "請先用 /設定 男 間隔(小時.分)");
+  });
+
+  it("新增與刪除王只認完整名稱或別名", async () => {
+    await sendAll("/設定 冰之女王 4.00", "/設定 奇岩王 6.00", "/別名 冰女 雪女");
+    assert.equal(await h.send("/設定 女王 2.00"), "✅ 已設定 女王 重生間隔 2小時0分");
+    assert.equal(await h.send("/設定 冰 2.00"), "✅ 已設定 冰 重生間隔 2小時0分");
+    assert.equal(await h.send("/設定 雪女 3.30"), "✅ 已設定 冰女 重生間隔 3小時30分");
+    assert.equal(await h.send("/刪除 岩"), "岩 不存在");
+    assert.match(await h.send("/王 冰之女王"), /間隔：4小時/);
+    assert.match(await h.send("/王 奇岩王"), /奇岩王/);
+  });
+});
+
+describe("/定時", () => {
+  beforeEach(() => setup());
+  afterEach(() => h.close());
+
+  it("設定固定出現時間", async () => {
+    assert.equal(await h.send("/定時 世界王 20:00"), "✅ 已設定 世界王 定時重生 20:00（每天）\n🕒 下次：01/05 20:00");
+    assert.equal(
+      await h.send("/定時 世界王 21:00 3"),
+      "✅ 已設定 世界王 定時重生 21:00（星期三）\n🕒 下次：01/07 21:00"
+    );
+    assert.match(await h.send("/殺 世界王"), /^⏰ 世界王 是定時王，不用登記/);
+    assert.match(await h.send("/定時 世界王 25:00"), /^❌ 時間格式錯誤/);
+    assert.match(await h.send("/定時 世界王 12:00,20:00 0"), /^❌ 「星期」格式錯誤：0.*\n用法：\/定時 王名/);
+    assert.match(await h.send("/定時 世界王 12:00 8"), /^❌ 「星期」格式錯誤：8/);
+    assert.match(await h.send("/定時 世界王 12:00 abc"), /^❌ 「星期」格式錯誤：abc/);
+    assert.match(await h.send("/王 世界王"), /21:00（星期三）/);
+  });
+});
+
+describe("/刪除 與 /復原", () => {
+  beforeEach(async () => {
+    await setup();
+    await sendAll("/設定 冰女 3.00", "/重生 冰女 1.20");
+  });
+  afterEach(() => h.close());
+
+  it("刪除後可以復原", async () => {
+    assert.equal(await h.send("/刪除 冰女"), "🗑 成員U1 已刪除 冰女");
+    assert.equal(await h.send("/王"), "尚無任何王的資料");
+    assert.equal(await h.send("/刪除 冰女"), "冰女 不存在");
+
+    assert.equal(await h.send("/復原"), "↩️ 已復原「/刪除」\n・冰女：已還原，13:20 重生");
+    assert.match(await h.send("/王 冰女"), /預計 13:20/);
+  });
+
+  it("可以連續復原到最早", async () => {
+    await h.send("/重生 冰女 12.0");
+    assert.equal(await h.send("/復原"), "↩️ 已復原「/重生」\n・冰女：已還原，13:20 重生");
+    assert.equal(await h.send("/復原"), "↩️ 已復原「/重生」\n・冰女：已還原");
+    assert.equal(await h.send("/復原"), "↩️ 已復原「/設定」\n・冰女：已移除");
+    assert.equal(await h.send("/復原"), "沒有可以復原的改動");
+  });
+});
+
+describe("/別名", () => {
+  beforeEach(async () => {
+    await setup();
+    await sendAll("/設定 冰女 3.00", "/設定 火男 1.00");
+  });
+  afterEach(() => h.close());
+
+  it("新增、略過重複與清除", async () => {
+    assert.equal(await h.send("/別名 冰女 冰"), "✅ 冰女 的別名：冰");
+    assert.equal(await h.send("/別名 火男 冰 火"), "✅ 火男 的別名：火\n⚠️ 略過：冰（已是 冰女）");
+    assert.equal(await h.send("/別名 冰女 清除"), "✅ 已清除 冰女 的別名");
+    assert.match(await h.send("/別名 冰女"), /^❌ 缺少「別名」/);
+  });
+});
+
+describe("/紀錄 與 /統計", () => {
+  beforeEach(async () => {
+    await setup();
+    await h.send("/設定 冰女 3.00");
+  });
+  afterEach(() => h.close());
+
+  it("記下回報者並統計實測間隔", async () => {
+    assert.equal(await h.send("/紀錄"), "📜 尚無擊殺紀錄");
+
+    await h.send("/殺 冰女 11:50");
+    h.clock.advance(190); // 15:10
+    await h.send("/殺 冰女 15:00", { userId: "U2" });
+
+    assert.equal(
+      await h.send("/紀錄 冰女"),
+      "📜 冰女 最近 2 筆紀錄（共 2 筆）\n・01/05 15:00 冰女 擊殺（成員U2，/殺）\n・01/05 11:50 冰女 擊殺（成員U1，/殺）"
+    );
+    assert.equal(
+      await h.send("/統計"),
+      "📊 擊殺統計\n🔹 冰女\n　擊殺：2 次\n　錯過：0 輪\n　實測平均間隔：3小時10分（設定 3小時0分）"
+    );
+    assert.deepEqual(h.sheets.read("History!C2:D3"), [["冰女", "kill"], ["冰女", "kill"]]);
+  });
+
+  it("復原後的登記不算進紀錄與統計", async () => {
+    await h.send("/殺 冰女 11:50");
+    h.clock.advance(190); // 15:10
+    await h.send("/殺 冰女 15:00");
+    await h.send("/重生 冰女 12.0");
+    await h.send("/殺 冰女 15:05");
+    await sendAll("/復原", "/復原");
+
+    assert.equal(
+      await h.send("/紀錄 冰女"),
+      "📜 冰女 最近 2 筆紀錄（共 2 筆）\n・01/05 15:00 冰女 擊殺（成員U1，/殺）\n・01/05 11:50 冰女 擊殺（成員U1，/殺）"
+    );
+    assert.match(await h.send("/統計"), /實測平均間隔：3小時10分/);
+    assert.deepEqual(h.sheets.read("History!D6:K7").map((r) => [r[0], r[6], r[7]]), [
+      ["undo", "/復原", h.sheets.read("History!A5")[0][0]],
+      ["undo", "/復原", h.sheets.read("History!A4")[0][0]],
+    ]);
+  });
+
+  it("剩餘時間比間隔還長時推不出擊殺時間", async () => {
+    await h.send("/重生 冰女 12.0");
+    assert.match(await h.send("/王 冰女"), /上次擊殺：無紀錄/);
+    assert.deepEqual(h.sheets.read("History!D2:E2"), [["respawn"]]);
+    assert.equal(await h.send("/統計"), "📊 尚無擊殺紀錄可以統計");
+  });
+});
+
+describe("/王", () => {
+  beforeEach(async () => {
+    await setup();
+    await sendAll("/設定 冰女 3.00", "/設定 火男 1.00", "/設定 雷王 2.00", "/分類 冰 冰女");
+    await sendAll("/重生 冰女 0.30", "/重生 火男 2.00");
+  });
+  afterEach(() => h.close());
+
+  it("以卡片列出並附上按鈕", async () => {
+    const flex = await h.send("/王");
+    assert.equal(flex.type, "flex");
+    assert.equal(flex.altText, "⚔️ 王的重生時間（3 隻）");
+    assert.deepEqual(
+      flex.quickReply.items.map((i) => i.action.label),
+      ["冰女 剛擊殺", "冰女 沒出", "冰女 延後5分", "火男 剛擊殺", "火男 沒出", "火男 延後5分"]
+    );
+  });
+
+  it("依分類、分鐘、錯過篩選", async () => {
+    assert.equal((await h.send("/王 冰")).altText, "⚔️ 分類「冰」（1 隻）");
+    assert.equal((await h.send("/王 60")).altText, "⚔️ 60 分鐘內重生的王（1 隻）");
+    assert.equal(await h.send("/王 過"), "沒有符合的王（有錯過的王）");
+    assert.match(await h.send("/王 不存在"), /^❌ 找不到「不存在」/);
+  });
+
+  it("單隻王的詳細資料", async () => {
+    assert.equal(
+      await h.send("/王 冰女"),
+      "🔹 冰女（冰）\n　重生：剩餘 0小時30分（預計 12:30）\n　間隔：3小時0分\n　通知：每天\n　提醒：前10分\n　上次擊殺：01/05 09:30"
+    );
+  });
+
+  it("/王 只推算目前這一輪，不改資料", async () => {
+    h.clock.advance(240); // 16:00：12:30、15:30 都錯過了
+    const detail = await h.send("/王 冰女");
+    assert.match(detail, /剩餘 2小時30分（預計 18:30）/);
+    assert.match(detail, /錯過：2 次/);
+    assert.equal((await h.send("/王 過")).altText, "⚔️ 有錯過的王（2 隻）");
+    assert.deepEqual(h.sheets.read("Boss_G1!C2:F2"), [["2026-01-05T04:30:00.000Z", "", "ALL", "0"]]);
+
+    await h.bot.runMaintenance();
+    assert.deepEqual(h.sheets.read("Boss_G1!C2:F2"), [["2026-01-05T10:30:00.000Z", "", "ALL", "2"]]);
+  });
+
+  it("連續錯過太多輪標記未確認", async () => {
+    h.clock.advance(60 * 10); // 22:00：冰女錯過 4 輪、火男錯過 9 輪
+    const detail = await h.send("/王 冰女");
+    assert.match(detail, /錯過：4 次/);
+    assert.match(detail, /狀態：❔ 未確認/);
+    assert.ok(JSON.stringify(await h.send("/王")).includes("❔ 冰女 過4"));
+  });
+});
+
+describe("通知設定", () => {
+  beforeEach(async () => {
+    await setup();
+    await sendAll("/設定 冰女 3.00", "/分類 冰 冰女");
+  });
+  afterEach(() => h.close());
+
+  it("/通知 設定分類的通知日", async () => {
+    assert.equal(await h.send("/通知 冰 1.3"), "✅ 已更新 冰 類通知\n📅 通知日：星期一、星期三\n🧊 影響王：冰女");
+    assert.equal(await h.send("/通知 冰 0"), "✅ 已更新 冰 類通知\n📅 通知日：已關閉\n🧊 影響王：冰女");
+    assert.match(await h.send("/通知 冰 8"), /^❌ 「參數」格式錯誤：8/);
+    assert.match(await h.send("/通知 火 9"), /^❌ 找不到類別：火/);
+  });
+
+  it("/提醒 設定多段提醒", async () => {
+    assert.equal(await h.send("/提醒 冰 30.5"), "✅ 已更新 冰 的提醒\n⏰ 提醒：前30分、前5分\n🧊 影響王：冰女");
+    assert.equal(await h.send("/提醒 冰女 預設"), "✅ 已更新 冰女 的提醒\n⏰ 提醒：預設（前10分）\n🧊 影響王：冰女");
+    assert.match(await h.send("/提醒 冰 abc"), /^❌ 請輸入提醒分鐘/);
+    assert.equal(await h.send("/提醒 雷 5"), "❌ 找不到類別或王名：雷");
+  });
+
+  it("/開啟通知 /關閉通知 /提醒時間 /時區 /推播 /設定查看", async () => {
+    assert.equal(await h.send("/關閉通知"), "❌ 已全域關閉前10分鐘通知");
+    assert.equal(h.bot.settings.notifyAll, false);
+    assert.equal(await h.send("/開啟通知"), "✅ 已全域開啟前10分鐘通知");
+
+    assert.equal(await h.send("/提醒時間 15"), "✅ 已改為重生前 15 分鐘提醒");
+    assert.match(await h.send("/提醒時間 999"), /0～180 的整數/);
+
+    assert.equal(await h.send("/時區 Asia/Tokyo"), "✅ 已將時區設為 Asia/Tokyo");
+    assert.match(await h.send("/時區 火星"), /^❌ 無效的時區：火星/);
+
+    assert.equal(await h.send("/推播 移除"), "✅ 已移除推播對象：G1\n📮 目前共 0 個推播對象");
+    assert.equal(await h.send("/推播 新增 G2"), "✅ 已新增推播對象：G2\n📮 目前共 1 個推播對象");
+    assert.match(await h.send("/推播 加入"), /只能是 新增、移除/);
+
+    const view = await h.send("/設定查看");
+    assert.match(view, /🔔 總通知：開啟/);
+    assert.match(view, /⏱ 提前提醒：15 分鐘/);
+    assert.match(view, /🌏 時區：Asia\/Tokyo/);
+    assert.match(view, /　・G2/);
+
+    assert.deepEqual(h.sheets.read("Settings!A2:B3"), [["notifyAll", "TRUE"], ["notifyBefore", "15"]]);
+  });
+});
+
+describe("/分類", () => {
+  beforeEach(async () => {
+    await setup();
+    await h.send("/設定 冰女 3.00");
+  });
+  afterEach(() => h.close());
+
+  it("加入與移除分類", async () => {
+    assert.equal(await h.send("/分類 冰 冰女"), "✅ 已將「冰女」分類為「冰」");
+    assert.equal(await h.send("/分類刪除 冰女"), "✅ 已移除「冰女」的分類");
+    assert.equal(await h.send("/分類 冰 雷王"), "❌ 找不到名稱為「雷王」的王。");
+  });
+});
+
+describe("管理員", () => {
+  beforeEach(() => setup({ env: { USER_ID: "Uadmin", ADMIN_IDS: "" } }));
+  afterEach(() => h.close());
+
+  it("管理指令只有管理員能用", async () => {
+    assert.equal(await h.send("/設定 冰女 3.00", { userId: "Uadmin" }), "✅ 已設定 冰女 重生間隔 3小時0分");
+
+    assert.match(await h.send("/設定 冰女 1.00"), /^🔒 \/設定 只有管理員可以使用/);
+    assert.match(await h.send("/刪除 冰女"), /^🔒 \/刪除 只有管理員可以使用/);
+    assert.match(await h.send("/關閉通知"), /^🔒 \/關閉通知 只有管理員可以使用/);
+    assert.match(await h.send("/定時 冰女 12:00"), /^🔒 \/定時 只有管理員可以使用/);
+    assert.match(await h.send("/定時 新王 12:00"), /^🔒 \/定時 只有管理員可以使用/);
+    assert.match(await h.send("/提醒 冰女 30.5"), /^🔒 \/提醒 只有管理員可以使用/);
+    assert.match(await h.send("/王 冰女"), /間隔：3小時0分/);
+    assert.equal(await h.send("/王 新王"), "❌ 找不到「新王」，可用 /王 分類、/王 分鐘（例如 60）、/王 過 或 /王 王名");
+    assert.equal(await h.send("/重生 冰女 1.00"), "🕒 成員U1 已設定 冰女 將於 13:00 重生");
+    assert.equal((await h.send("/王")).altText, "⚔️ 王的重生時間（1 隻）");
+  });
+
+  it("管理員名單的查看、新增與移除", async () => {
+    assert.equal(await h.send("/管理員"), "👑 管理員：\n　・Uadmin");
+    assert.match(await h.send("/管理員 新增"), /^🔒/);
+
+    assert.equal(await h.send("/管理員 新增 U2", { userId: "Uadmin" }), "✅ 已新增管理員：U2\n👑 目前共 2 位管理員");
+    assert.equal(await h.send("/管理員 移除 Uadmin", { userId: "U2" }), "✅ 已移除管理員：Uadmin\n👑 目前共 1 位管理員");
+    assert.equal(await h.send("/管理員 移除", { userId: "U2" }), "❌ 至少要保留一位管理員");
+    assert.equal(await h.send("/管理員 新增 G1", { userId: "U2" }), "❌ 請輸入個人 ID（U 開頭，可用 /我的ID 查詢）");
+    assert.equal(await h.send("/管理員 移除 U9", { userId: "U2" }), "❌ U9 不是管理員");
+  });
+
+  it("沒有管理員時誰都不能用管理指令，ADMIN_IDS 一定是管理員", async () => {
+    await h.close();
+    await setup({ env: { USER_ID: "G1", ADMIN_IDS: "" } });
+    assert.equal(await h.send("/管理員"), "👑 管理員：\n　（未設定，請在 ADMIN_IDS 填入個人 ID 後重新啟動）");
+    assert.match(await h.send("/管理員 新增"), /^🔒/);
+    assert.match(await h.send("/設定 冰女 3.00"), /^🔒/);
+
+    await h.close();
+    await setup({ env: { USER_ID: "G1", ADMIN_IDS: "U7" }, sheets: h.sheets });
+    assert.equal(await h.send("/管理員"), "👑 管理員：\n　・U7");
+  });
+
+  it("管理指令的改動只有管理員能復原", async () => {
+    await h.send("/設定 冰女 3.00", { userId: "Uadmin" });
+    assert.equal(await h.send("/復原"), "🔒 上一個改動是 /設定，只有管理員可以復原");
+    assert.equal(await h.send("/復原", { userId: "Uadmin" }), "↩️ 已復原「/設定」\n・冰女：已移除");
+  });
+});
+
+describe("按鈕", () => {
+  beforeEach(async () => {
+    await setup();
+    await sendAll("/設定 冰女 3.00", "/重生 冰女 0.10");
+  });
+  afterEach(() => h.close());
+
+  it("剛擊殺、沒出、延後5分", async () => {
+    assert.equal(await h.postback("action=kill&boss=冰女"), "🕒 成員U1 已設定 冰女 將於 15:00 重生");
+    assert.equal(await h.postback("action=delay&boss=冰女"), "⏳ 成員U1 將 冰女 延後 5 分，改為 15:05 重生");
+    assert.equal(await h.postback("action=skip&boss=冰女"), "⏭ 成員U1 回報 冰女 這輪沒出，下次 18:05 重生");
+    assert.match(await h.send("/王 冰女"), /錯過：1 次/);
+    assert.equal(await h.postback("action=kill&boss=雷王"), "❌ 找不到名稱為「雷王」的王。");
+    assert.equal(await h.postback("action=unknown&boss=冰女"), null);
+  });
+
+  it("王被刪掉後的舊按鈕不會記到名稱相近的王", async () => {
+    await sendAll("/設定 冰女王 4.00", "/重生 冰女王 2.00", "/刪除 冰女");
+    assert.equal(await h.postback("action=kill&boss=冰女"), "❌ 找不到名稱為「冰女」的王。");
+    assert.equal(await h.postback("action=skip&boss=冰女"), "❌ 找不到名稱為「冰女」的王。");
+    assert.match(await h.send("/王 冰女王"), /14:00/);
+    assert.ok(!h.sheets.read("History!A2:Z").some((row) => row.includes("按鈕")));
+  });
+});
+
+describe("其他", () => {
+  beforeEach(() => setup());
+  afterEach(() => h.close());
+
+  it("/資訊", async () => {
+    assert.equal(await h.send("/資訊"), "目前尚無任何王的資訊");
+    await sendAll("/設定 冰女 3.00", "/分類 冰 冰女");
+    const flex = await h.send("/資訊");
+    assert.equal(flex.altText, "📖 王的設定（1 隻）");
+  });
+
+  it("/我的ID", async () => {
+    assert.equal(await h.send("/我的ID"), "這是群組 ID：G1\n你的個人 ID：U1");
+    assert.equal(await h.send("/我的ID", { roomId: "R1" }), "這是多人聊天 ID：R1\n你的個人 ID：U1");
+    assert.equal(await h.send("/我的ID", { groupId: null, userId: "U9" }), "這是你的個人 ID：U9");
+  });
+
+  it("每個群組各自一張王表", async () => {
+    await h.send("/設定 冰女 3.00");
+    assert.equal(await h.send("/王", { groupId: "G2" }), "尚無任何王的資料");
+  });
+
+  it("/幫助 列出所有指令", async () => {
+    const help = await h.send("/幫助");
+    const names = [
+      "/設定", "/重生", "/殺", "/定時", "/刪除", "/復原", "/別名", "/紀錄", "/統計", "/王",
+      "/通知", "/提醒", "/開啟通知", "/關閉通知", "/提醒時間", "/未確認輪數", "/停提醒輪數", "/推播", "/摘要", "/時區", "/設定查看",
+      "/分類", "/分類刪除", "/管理員", "/資訊", "/我的ID", "/配方", "/計算", "/材料", "/4轉材料", "/四轉材料", "/4轉", "/四轉", "/幫助",
+    ];
+    for (const name of names) assert.ok(help.includes(name), `缺少 ${name}`);
+    assert.match(help, /\/設定 王名 間隔\(小時\.分\) \[最長間隔\] 🔒/);
+  });
+
+  it("/4轉材料 說明", async () => {
+    assert.match(await h.send("/4轉材料"), /^📘 四轉材料計算說明/);
+    assert.match(await h.send("/四轉材料"), /^📘 四轉材料計算說明/);
+  });
+});
+
+describe("記憶體 Sheets", () => {
+  it("舊版 Boss 工作表會移轉給 LEGACY_BOSS_OWNER 指定的群組", async () => {
+    const sheets = createMemorySheets();
+    // 舊版把總通知開關放在 H2，剛好是現在的「提醒」欄
+    sheets.addTab("Boss", [
+      ["王名", "間隔", "下次重生", "已通知", "通知日", "", "", "開啟通知"],
+      ["冰女", "3", "", "FALSE", "ALL", "", "", "開啟通知"],
+    ]);
+    // 沒指定就不動，不猜是哪個群組的
+    h = await createHarness({ sheets, env: { USER_ID: "U1,G1" } });
+    await h.close();
+    assert.ok("Boss" in sheets.tabs);
+
+    h = await createHarness({ sheets, env: { USER_ID: "U1,G1", LEGACY_BOSS_OWNER: "G1" } });
+    try {
+      assert.ok(!("Boss" in sheets.tabs));
+      const info = await h.send("/王 冰女");
+      assert.match(info, /間隔：3小時0分/);
+      assert.doesNotMatch(info, /NaN/);
+      await h.send("/重生 冰女 1.00");
+      assert.equal(sheets.read("Boss_G1!H2").flat().join(), "");
+    } finally {
+      await h.close();
+    }
+  });
+});
+
+describe("手動改壞的王表", () => {
+  it("定時欄排不出下一次時略過定時，不影響啟動與提醒", async () => {
+    const sheets = createMemorySheets();
+    sheets.addTab("Boss_G1", [
+      ["王名", "間隔", "下次重生", "已通知", "通知日", "錯過", "分類", "提醒", "最長間隔", "定時", "定時星期"],
+      ["世界王", "0", "2026-01-05T03:00:00.000Z", "", "ALL", "0", "", "", "", "20:00", "NONE"],
+      ["冰女", "3", "2026-01-05T05:00:00.000Z", "", "ALL", "0", "", "", "", "", ""],
+    ]);
+    h = await createHarness({ sheets });
+    try {
+      assert.doesNotMatch(await h.send("/王 世界王"), /定時/);
+      h.clock.advance(90);
+      await h.bot.checkReminders();
+      assert.match(await h.send("/王 冰女"), /錯過：1 次/);
+    } finally {
+      await h.close();
+    }
+  });
+});
+
+describe("加入、離開與成員名稱", () => {
+  beforeEach(() => setup());
+  afterEach(() => h.close());
+
+  it("被邀進群組時打招呼並加入推播對象，離開時移除", async () => {
+    const welcome = await h.emit("join", {}, { groupId: "G5", userId: undefined });
+    assert.match(welcome, /^👋 大家好！/);
+    assert.match(welcome, /\/重生 王名 剩餘時間\(小時\.分\)\n　→ 登記王的下次重生時間/);
+    assert.match(welcome, /\/幫助\n　→ 顯示這份說明/);
+    assert.ok(h.bot.settings.notifyTargets.includes("G5"));
+
+    await h.send("/摘要 08:00", { groupId: "G5" });
+    assert.equal(await h.emit("leave", { replyToken: undefined }, { groupId: "G5", userId: undefined }), null);
+    assert.ok(!h.bot.settings.notifyTargets.includes("G5"));
+    assert.deepEqual(h.bot.settings.digests, {});
+    assert.ok(!h.sheets.read("Settings!A2:B").flat().join().includes("G5"));
+  });
+
+  it("被加好友與封鎖", async () => {
+    assert.match(await h.emit("follow", {}, { groupId: null, userId: "U7" }), /^👋 大家好！/);
+    assert.ok(h.bot.settings.notifyTargets.includes("U7"));
+    await h.emit("unfollow", { replyToken: undefined }, { groupId: null, userId: "U7" });
+    assert.ok(!h.bot.settings.notifyTargets.includes("U7"));
+  });
+
+  it("歡迎新成員", async () => {
+    const joined = { members: [{ type: "user", userId: "U8" }, { type: "user", userId: "U9" }] };
+    assert.equal(
+      await h.emit("memberJoined", { joined }, { userId: undefined }),
+      "👋 歡迎 成員U8、成員U9！\n輸入 /王 查看重生時間，/幫助 查看所有指令"
+    );
+  });
+
+  it("回覆帶上回報者名稱，名稱會快取", async () => {
+    await h.send("/設定 冰女 3.00");
+    await h.send("/殺 冰女");
+    await h.send("/重生 冰女 1.00");
+    assert.deepEqual(h.client.profileCalls, ["U1"]);
+
+    h.clock.advance(7 * 60);
+    await h.send("/殺 冰女");
+    assert.deepEqual(h.client.profileCalls, ["U1", "U1"]);
+  });
+
+  it("查不到名稱時照舊回覆", async () => {
+    h.client.getGroupMemberProfile = async () => {
+      throw new Error("not a member");
+    };
+    await h.send("/設定 冰女 3.00");
+    assert.equal(await h.send("/殺 冰女"), "🕒 已設定 冰女 將於 15:00 重生");
+    assert.equal(await h.postback("action=skip&boss=冰女"), "⏭ 冰女 這輪沒出，下次 18:00 重生");
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadBuiltinRecipes, createRecipe, parseRecipeInputs, calcRecipe, formatRecipeResult } from "../crafting.js";
+import { createHarness, createMemorySheets } from "./helpers.js";
+
+const SAMPLE = "7.1.12.5.10.2.3.14.0.187.599.2634.4.55.2391180";
+
+const SAMPLE_REPLY = `📘 四轉材料缺口
+
+🟧 教皇認可：8
+🟪 實習匠人的證明盾：3
+🟪 傭兵隊長推薦書：30
+--------------
+【最非】 / 【最歐】
+🟪 詛咒精華：232 / 37
+🟪 優級轉職信物：362 / 50
+🟪 古代匠人的合金：140 / 15
+🟪 冰凍之淚：0 / 0
+⬛ 轉職信物：9,431 / 81
+⬛ 金屬殘片：0 / 0
+🟦 古代莎草紙：4,776 / 296
+🟨 墨水晶：7,005 / 995
+🟨 金幣：202,808,820 / 62,958,820
+--------------
+📦 各自消耗（最非 / 最歐，未扣持有）
+🟧 教皇認可 ×8：詛咒精華 235 / 40、優級轉職信物 376 / 64、轉職信物 470 / 80、墨水晶 940 / 160、金幣 47,000,000 / 8,000,000
+🟪 實習匠人的證明盾 ×3：古代匠人的合金 140 / 15、冰凍之淚 140 / 15、金屬殘片 84 / 9、墨水晶 840 / 90、金幣 12,600,000 / 1,350,000
+🟪 傭兵隊長推薦書 ×30：古代莎草紙 4,780 / 300、轉職信物 9,560 / 600、金屬殘片 1,434 / 90、墨水晶 4,780 / 300、金幣 95,600,000 / 6,000,000`;
+
+// 木劍 ← 木板 ← 原木：木板必定成功，木劍最慘第 3 次才成功
+const SWORD = {
+  name: "木劍",
+  goal: { 木劍: 2 },
+  crafts: {
+    木劍: { pity: 3, cost: { 木板: 2, 金幣: 100 } },
+    木板: { cost: { 原木: 4 } },
+  },
+};
+
+function calc(def, tokens) {
+  const recipe = createRecipe(def);
+  const inputs = parseRecipeInputs(recipe, tokens);
+  assert.equal(inputs.error, undefined);
+  return calcRecipe(recipe, inputs);
+}
+
+describe("配方計算", () => {
+  it("內建的四轉配方結果不變", async () => {
+    const [fourth] = await loadBuiltinRecipes();
+    const recipe = createRecipe(fourth);
+    const result = calcRecipe(recipe, parseRecipeInputs(recipe, [SAMPLE]));
+    assert.equal(formatRecipeResult(recipe, result), SAMPLE_REPLY);
+  });
+
+  it("中間製作物會往下展開，保底只算在有保底的製作", () => {
+    const { worst, best, breakdown } = calc(SWORD, ["原木=10"]);
+    assert.deepEqual(best, { 木劍: 2, 木板: 4, 原木: 6, 金幣: 200 });
+    assert.deepEqual(worst, { 木劍: 2, 木板: 12, 原木: 38, 金幣: 600 });
+    // 沒有成功率也能依保底算出各自消耗
+    assert.deepEqual(breakdown, [{ item: "木劍", need: 2, worst: { 木板: 12, 金幣: 600 }, best: { 木板: 4, 金幣: 200 } }]);
+  });
+
+  it("持有的中間製作物與失敗次數會先扣掉", () => {
+    const { worst, best } = calc(SWORD, ["木板=3", "木劍失敗=2"]);
+    assert.deepEqual(best, { 木劍: 2, 木板: 1, 原木: 4, 金幣: 200 });
+    assert.deepEqual(worst, { 木劍: 2, 木板: 5, 原木: 20, 金幣: 400 });
+  });
+
+  it("具名輸入可以只打開頭", () => {
+    const recipe = createRecipe(SWORD);
+    assert.deepEqual(parseRecipeInputs(recipe, ["原=1,000", "木劍失敗=1"]), { have: { 原木: 1000 }, fails: { 木劍: 1 } });
+    assert.deepEqual(parseRecipeInputs(recipe, ["木=1"]), { error: "❌ 找不到材料：木" });
+    assert.deepEqual(parseRecipeInputs(recipe, ["木板失敗=1"]), { error: "❌ 找不到材料：木板失敗" });
+    assert.deepEqual(parseRecipeInputs(recipe, ["原木=abc"]), { error: "❌ 「原木」的數量格式錯誤：abc" });
+    assert.deepEqual(parseRecipeInputs(recipe, ["1.2"]), { error: "❌ 請確認已輸入 5 個數字" });
+  });
+
+  it("有成功率時算出期望值與九成用量，並介於最歐與最非之間", () => {
+    const { worst, best, expected, percentile, breakdown } = calc(
+      { ...SWORD, crafts: { ...SWORD.crafts, 木劍: { ...SWORD.crafts.木劍, rate: 0.5 } } },
+      ["木劍失敗=2"]
+    );
+    // 第一把下一次必成功，第二把期望 1 + 0.5 + 0.25 次，共 2.75 次
+    assert.deepEqual(breakdown, [
+      { item: "木劍", need: 2, worst: { 木板: 8, 金幣: 400 }, best: { 木板: 4, 金幣: 200 }, expected: { 木板: 6, 金幣: 275 } },
+    ]);
+    for (const item of ["木板", "原木", "金幣"]) {
+      assert.ok(best[item] <= expected[item] && expected[item] <= percentile[item] && percentile[item] <= worst[item], item);
+    }
+    assert.equal(worst.木板, 8);
+    assert.equal(percentile.木板, 8);
+  });
+
+  it("沒有保底又可能失敗的製作，最非沒有上限", () => {
+    const { worst, expected } = calc(
+      { ...SWORD, crafts: { 木劍: { pity: 3, rate: 0.5, cost: { 木板: 2 } }, 木板: { rate: 0.5, cost: { 原木: 1 } } } },
+      []
+    );
+    assert.equal(worst.原木, Infinity);
+    assert.ok(expected.原木 > expected.木板);
+  });
+
+  it("格式錯誤的配方", () => {
+    assert.throws(() => createRecipe({ ...SWORD, crafts: { ...SWORD.crafts, 木板: { rate: 2, cost: { 原木: 1 } } } }), /成功率錯誤：木板/);
+    assert.throws(() => createRecipe({ name: "壞", goal: {} }), /配方「壞」沒有目標/);
+    assert.throws(
+      () => createRecipe({ name: "壞", goal: { A: 1 }, crafts: { A: { cost: { B: 1 } }, B: { cost: { A: 1 } } } }),
+      /配方「壞」的製作表有循環：A → B → A/
+    );
+    assert.throws(() => createRecipe({ ...SWORD, inputs: ["鐵礦"] }), /不認得的項目：鐵礦/);
+  });
+});
+
+describe("/4轉 與 /計算", () => {
+  let h;
+  afterEach(() => h.close());
+
+  it("位置輸入與具名輸入", async () => {
+    h = await createHarness();
+    assert.equal(await h.send(`/4轉 ${SAMPLE}`), SAMPLE_REPLY);
+    assert.equal(await h.send(`/四轉 ${SAMPLE}`), SAMPLE_REPLY);
+    assert.equal(await h.send(`/計算 四轉 ${SAMPLE}`), SAMPLE_REPLY);
+    assert.equal(await h.send("/4轉 1.2.3"), "❌ 請確認已輸入 15 個數字");
+    assert.match(await h.send("/4轉 教皇認可=15 實習匠人的證明盾=15 傭兵隊長推薦書=40"), /🟨 墨水晶：500 \/ 500\n/);
+    assert.match(await h.send("/4轉材料"), /^📘 四轉材料計算說明/);
+    assert.equal(await h.send("/配方"), "📘 可計算的配方：\n・4轉（四轉材料）\n用 /配方 名稱 查看輸入方式");
+    assert.equal(await h.send("/計算 木劍 原木=1"), "❌ 找不到配方：木劍（可用 /配方 查看）");
+  });
+
+  it("讀取 Sheets 的自訂配方", async () => {
+    const sheets = createMemorySheets();
+    sheets.addTab("Recipes", [
+      ["配方", "項目", "內容", "保底"],
+      ["木劍", "目標", "木劍=2"],
+      ["木劍", "木劍", "木板=2, 金幣=100", "3"],
+      ["木劍", "木板", "原木=4"],
+      ["壞掉", "目標", ""],
+    ]);
+    h = await createHarness({ sheets });
+
+    assert.equal(
+      await h.send("/計算 木劍 原木=10"),
+      "📘 木劍缺口\n\n▫️ 木劍：2\n--------------\n【最非】 / 【最歐】\n▫️ 木板：12 / 4\n▫️ 原木：38 / 6\n▫️ 金幣：600 / 200\n" +
+        "--------------\n📦 各自消耗（最非 / 最歐，未扣持有）\n▫️ 木劍 ×2：木板 12 / 4、金幣 600 / 200"
+    );
+    assert.match(await h.send("/配方 木劍"), /1 木劍\n2 木劍 失敗次數\n3 木板\n4 原木\n5 金幣/);
+    assert.equal(await h.send("/配方 壞掉"), "❌ 找不到配方：壞掉");
+
+    // 補上成功率就會多出期望值
+    sheets.tabs.Recipes[2][4] = "0.5";
+    await h.close();
+    h = await createHarness({ sheets });
+    const reply = await h.send("/計算 木劍 原木=10");
+    assert.match(reply, /【最非】 \/ 【90%】 \/ 【期望】 \/ 【最歐】/);
+    assert.match(reply, /📦 各自消耗（最非 \/ 期望 \/ 最歐，未扣持有）\n▫️ 木劍 ×2：/);
+  });
+});
+
+describe("/材料", () => {
+  let h;
+  beforeEach(async () => {
+    h = await createHarness();
+  });
+  afterEach(() => h.close());
+
+  it("登記、增減與查看", async () => {
+    assert.equal(await h.send("/材料"), "🎒 尚未登記任何材料\n例：/材料 墨水晶 55");
+    assert.equal(
+      await h.send("/材料 墨水晶 55 教皇認可失敗 1 金幣 2,391,180"),
+      "✅ 已更新材料\n・墨水晶：0 → 55\n・教皇認可 失敗次數：0 → 1\n・金幣：0 → 2,391,180"
+    );
+    assert.equal(await h.send("/材料 墨 +30 金幣 -3000000"), "✅ 已更新材料\n・墨水晶：55 → 85\n・金幣：2,391,180 → 0");
+    assert.equal(await h.send("/材料"), "🎒 你的材料：\n・教皇認可 失敗次數：1\n・墨水晶：85");
+
+    assert.equal(await h.send("/材料 木頭 3"), "❌ 找不到材料：木頭（可用 /配方 名稱 查看）");
+    assert.equal(await h.send("/材料 墨水晶 abc"), "❌ 「墨水晶」的數量格式錯誤：abc");
+    assert.equal(await h.send("/材料 墨水晶"), "❌ 請成對輸入「材料 數量」，例：/材料 墨水晶 +30");
+
+    // 每個人各自一份
+    assert.equal(await h.send("/材料", { userId: "U2" }), "🎒 尚未登記任何材料\n例：/材料 墨水晶 55");
+
+    assert.equal(await h.send("/材料 清除 墨水晶"), "🗑 已清除 墨水晶");
+    assert.equal(await h.send("/材料 清除"), "🗑 已清除所有材料");
+    assert.equal(await h.send("/材料"), "🎒 尚未登記任何材料\n例：/材料 墨水晶 55");
+  });
+
+  it("/4轉 不打數字時用登記的材料，打了的蓋過登記的", async () => {
+    const names = [
+      "教皇認可", "教皇認可失敗", "實習匠人的證明盾", "實習匠人的證明盾失敗", "傭兵隊長推薦書", "傭兵隊長推薦書失敗",
+      "詛咒精華", "優級轉職信物", "古代匠人的合金", "冰凍之淚", "轉職信物", "金屬殘片", "古代莎草紙", "墨水晶", "金幣",
+    ];
+    const values = SAMPLE.split(".");
+    await h.send(`/材料 ${names.map((n, i) => `${n} ${values[i]}`).join(" ")}`);
+    assert.equal(await h.send("/4轉"), SAMPLE_REPLY);
+    assert.equal(await h.send("/計算 4轉"), SAMPLE_REPLY);
+    assert.match(await h.send("/4轉 教皇認可=15"), /🟧 教皇認可：0\n/);
+
+    assert.match(await h.send("/4轉", { userId: "U2" }), /^💡 還沒用 \/材料 登記材料/);
+  });
+
+  it("材料會存進 Sheets", async () => {
+    await h.send("/材料 墨水晶 55 教皇認可失敗 1");
+    await h.send("/材料 墨水晶 60", { userId: "U2" });
+    assert.deepEqual(h.sheets.read("Inventory!A1:B3"), [
+      ["使用者ID", "材料"],
+      ["U1", "墨水晶=55, 教皇認可失敗=1"],
+      ["U2", "墨水晶=60"],
+    ]);
+
+    const sheets = h.sheets;
+    await h.close();
+    h = await createHarness({ sheets });
+    assert.equal(await h.send("/材料"), "🎒 你的材料：\n・教皇認可 失敗次數：1\n・墨水晶：55");
+  });
+});
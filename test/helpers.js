@@ -0,0 +1,259 @@
+import crypto from "node:crypto";
+import { createBot } from "../bot.js";
+import { createApp } from "../app.js";
+import { createSheetsStorage } from "../storage/sheets.js";
+import { createFileStorage } from "../storage/file.js";
+
+// ===== 測試工具 =====
+// 假的 LINE client、記憶體版 Google Sheets、固定的時鐘，加上送出簽章過的 webhook
+
+export const CHANNEL_SECRET = "test-secret";
+
+// bot 的執行紀錄很多，測試時預設不印（DEBUG=1 才印）
+if (!process.env.DEBUG) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+// 記憶體版 Sheets：只實作 storage/sheets.js 用到的 API
+export function createMemorySheets() {
+  const tabs = {}; // 分頁名稱 → 二維陣列
+  let nextSheetId = 1;
+  const ids = {};
+
+  const colIndex = (col) => [...col].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+  function parseRange(range) {
+    const [title, cells = "A1"] = range.split("!");
+    const [from, to] = cells.split(":");
+    const [, c0, r0] = from.match(/([A-Z]+)(\d*)/);
+    const [, c1, r1] = (to || from).match(/([A-Z]+)(\d*)/);
+    return {
+      title,
+      col0: colIndex(c0),
+      row0: (parseInt(r0) || 1) - 1,
+      col1: colIndex(c1),
+      row1: r1 ? parseInt(r1) - 1 : Infinity,
+    };
+  }
+
+  function tab(title) {
+    if (!tabs[title]) throw new Error(`Unable to parse range: ${title}`);
+    return tabs[title];
+  }
+
+  // Google 回傳時會省略尾端的空白格與空白列
+  function read(range) {
+    const { title, col0, row0, col1, row1 } = parseRange(range);
+    const grid = tab(title);
+    const values = [];
+    for (let r = row0; r <= Math.min(row1, grid.length - 1); r++) {
+      const row = (grid[r] || []).slice(col0, col1 + 1).map((v) => (v === undefined || v === null ? "" : String(v)));
+      while (row.length > 0 && row[row.length - 1] === "") row.pop();
+      values.push(row);
+    }
+    while (values.length > 0 && values[values.length - 1].length === 0) values.pop();
+    return { range, values: values.length > 0 ? values : undefined };
+  }
+
+  function write(range, rows) {
+    const { title, col0, row0 } = parseRange(range);
+    const grid = tab(title);
+    rows.forEach((row, i) => {
+      grid[row0 + i] = grid[row0 + i] || [];
+      row.forEach((v, j) => (grid[row0 + i][col0 + j] = v));
+    });
+  }
+
+  function clear(range) {
+    const { title, col0, row0, col1, row1 } = parseRange(range);
+    const grid = tab(title);
+    for (let r = row0; r <= Math.min(row1, grid.length - 1); r++) {
+      for (let c = col0; c <= col1; c++) if (grid[r]) grid[r][c] = "";
+    }
+  }
+
+  function addTab(title, rows = []) {
+    tabs[title] = rows;
+    ids[title] = nextSheetId++;
+  }
+
+  const api = {
+    spreadsheets: {
+      async get() {
+        return { data: { sheets: Object.keys(tabs).map((title) => ({ properties: { title, sheetId: ids[title] } })) } };
+      },
+      async batchUpdate({ resource }) {
+        for (const req of resource.requests) {
+          if (req.addSheet) {
+            addTab(req.addSheet.properties.title);
+          } else if (req.updateSheetProperties) {
+            const { sheetId, title } = req.updateSheetProperties.properties;
+            const old = Object.keys(ids).find((t) => ids[t] === sheetId);
+            tabs[title] = tabs[old];
+            ids[title] = sheetId;
+            delete tabs[old];
+            delete ids[old];
+          }
+        }
+        return { data: {} };
+      },
+      values: {
+        async get({ range }) {
+          return { data: read(range) };
+        },
+        async batchGet({ ranges }) {
+          return { data: { valueRanges: ranges.map(read) } };
+        },
+        async update({ range, resource }) {
+          write(range, resource.values);
+          return { data: {} };
+        },
+        async batchUpdate({ resource }) {
+          resource.data.forEach((d) => write(d.range, d.values));
+          return { data: {} };
+        },
+        async append({ range, resource }) {
+          tab(parseRange(range).title).push(...resource.values);
+          return { data: {} };
+        },
+        async batchClear({ resource }) {
+          resource.ranges.forEach(clear);
+          return { data: {} };
+        },
+      },
+    },
+  };
+
+  return { api, tabs, addTab, read: (range) => read(range).values || [] };
+}
+
+// 假的 LINE client：記下所有回覆、推播與查詢名稱的次數
+export function createFakeClient() {
+  const replies = [];
+  const pushes = [];
+  const profileCalls = [];
+  const toArray = (messages) => (Array.isArray(messages) ? messages : [messages]);
+
+  return {
+    replies,
+    pushes,
+    profileCalls,
+    async replyMessage(replyToken, messages) {
+      replies.push({ replyToken, messages: toArray(messages) });
+    },
+    async pushMessage(to, messages) {
+      pushes.push({ to, messages: toArray(messages) });
+    },
+    async getProfile(userId) {
+      profileCalls.push(userId);
+      return { displayName: `使用者${userId}` };
+    },
+    async getGroupMemberProfile(groupId, userId) {
+      profileCalls.push(userId);
+      return { displayName: `成員${userId}` };
+    },
+    async getRoomMemberProfile(roomId, userId) {
+      profileCalls.push(userId);
+      return { displayName: `成員${userId}` };
+    },
+  };
+}
+
+export function sign(body, secret = CHANNEL_SECRET) {
+  return crypto.createHmac("sha256", secret).update(body).digest("base64");
+}
+
+// 文字訊息直接回傳文字，其他（Flex）回傳整個物件
+export function messageText(message) {
+  return message.type === "text" ? message.text : message;
+}
+
+// ===== 測試用 bot =====
+// 預設在 2026/01/05（一）12:00 台北時間、群組 G1 裡由 U1（管理員）下指令
+// 預設存在記憶體版 Sheets；給 file 就改用本機 JSON 檔（storage/file.js）
+export async function createHarness({ env = {}, now = "2026-01-05T12:00:00+08:00", sheets, file } = {}) {
+  let time = new Date(now);
+  const clock = {
+    now: () => time,
+    set: (iso) => (time = new Date(iso)),
+    advance: (minutes) => (time = new Date(time.getTime() + minutes * 60_000)),
+  };
+
+  const memory = sheets || createMemorySheets();
+  const client = createFakeClient();
+  const storage = file ? createFileStorage({ file }) : createSheetsStorage({ sheetId: "test", api: memory.api });
+  const bot = createBot({
+    client,
+    storage,
+    clock: clock.now,
+    env: { USER_ID: "", ADMIN_IDS: "U1", TIMEZONE: "Asia/Taipei", ...env },
+  });
+  await bot.init();
+
+  const app = createApp({ bot, channelSecret: CHANNEL_SECRET });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/webhook`;
+
+  let tokens = 0;
+
+  // 送出 webhook，回傳 HTTP 狀態碼
+  async function webhook(events, { signature } = {}) {
+    const body = JSON.stringify({ destination: "Ubot", events });
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-line-signature": signature ?? sign(body) },
+      body,
+    });
+    return res.status;
+  }
+
+  function baseEvent(source) {
+    const { userId = "U1", groupId = "G1", roomId } = source;
+    const eventSource = roomId
+      ? { type: "room", roomId, userId }
+      : groupId
+        ? { type: "group", groupId, userId }
+        : { type: "user", userId };
+    return {
+      replyToken: `token-${++tokens}`,
+      source: eventSource,
+      timestamp: time.getTime(),
+      mode: "active",
+      webhookEventId: `event-${tokens}`,
+      deliveryContext: { isRedelivery: false },
+    };
+  }
+
+  // 送出一則文字訊息，回傳 bot 的回覆（沒有回覆時為 null）
+  async function send(text, source = {}) {
+    const event = { ...baseEvent(source), type: "message", message: { type: "text", id: "m1", text } };
+    return dispatch(event);
+  }
+
+  async function postback(data, source = {}) {
+    const event = { ...baseEvent(source), type: "postback", postback: { data } };
+    return dispatch(event);
+  }
+
+  // 其他事件（join、follow、memberJoined、leave…），extra 是事件本身的欄位
+  async function emit(type, extra = {}, source = {}) {
+    return dispatch({ ...baseEvent(source), type, ...extra });
+  }
+
+  async function dispatch(event) {
+    const before = client.replies.length;
+    const status = await webhook([event]);
+    if (status !== 200) throw new Error(`webhook 回應 ${status}`);
+    const reply = client.replies.slice(before).find((r) => r.replyToken === event.replyToken);
+    return reply ? messageText(reply.messages[0]) : null;
+  }
+
+  async function close() {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  return { bot, client, sheets: memory, clock, webhook, send, postback, emit, close };
+}
@@ -0,0 +1,179 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness } from "./helpers.js";
+
+// 時鐘固定在 2026/01/05（一）12:00 台北時間，每次 checkReminders 相當於排程跑一分鐘
+let h;
+
+const pushedTexts = () => h.client.pushes.map((p) => `${p.to}：${p.messages[0].text}`);
+
+describe("提醒排程", () => {
+  beforeEach(async () => {
+    h = await createHarness();
+    await h.send("/設定 冰女 3.00");
+    await h.send("/重生 冰女 0.15"); // 12:15 重生
+  });
+  afterEach(() => h.close());
+
+  it("重生前 10 分鐘推播一次", async () => {
+    h.clock.advance(4);
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), []);
+
+    h.clock.advance(1); // 12:05
+    await h.bot.checkReminders();
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), ["G1：⏰ 冰女 將於 12:15 重生（剩餘 10 分）"]);
+    assert.equal(h.client.pushes[0].messages[0].quickReply.items.length, 3);
+  });
+
+  it("多段提醒與重生當下的通知", async () => {
+    await h.send("/提醒 冰女 10.0");
+    h.clock.advance(5);
+    await h.bot.checkReminders();
+    h.clock.advance(11); // 12:16
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), ["G1：⏰ 冰女 將於 12:15 重生（剩餘 10 分）", "G1：🔥 冰女 已重生（12:15）"]);
+
+    assert.match(await h.send("/王 冰女"), /預計 15:15/);
+  });
+
+  it("關閉通知或移除推播對象後不推播", async () => {
+    await h.send("/關閉通知");
+    h.clock.advance(5);
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), []);
+
+    await h.send("/開啟通知");
+    await h.send("/推播 移除");
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), []);
+  });
+
+  it("沒人處理的王會自動推到下一輪", async () => {
+    h.clock.set("2026-01-05T18:20:00+08:00"); // 12:15、15:15、18:15 都錯過
+    await h.bot.checkReminders();
+    assert.deepEqual(h.sheets.read("Boss_G1!C2:F2"), [["2026-01-05T13:15:00.000Z", "", "ALL", "3"]]);
+  });
+
+  it("通知日以外不提醒", async () => {
+    await h.send("/分類 冰 冰女");
+    await h.send("/通知 冰 2");
+    h.clock.advance(5);
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), []);
+  });
+});
+
+describe("背景維護", () => {
+  beforeEach(async () => {
+    h = await createHarness();
+    await h.send("/設定 冰女 1.00");
+    await h.send("/重生 冰女 0.30"); // 12:30 重生
+  });
+  afterEach(() => h.close());
+
+  it("連續錯過達到門檻時通知一次並標記未確認", async () => {
+    h.clock.set("2026-01-05T13:31:00+08:00"); // 12:30、13:30 錯過
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), []);
+
+    h.clock.set("2026-01-05T14:31:00+08:00"); // 第 3 輪
+    await h.bot.checkReminders();
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), ["G1：❔ 冰女 已連續 3 輪沒人回報，重生時間改為推算（未確認）"]);
+
+    h.clock.set("2026-01-05T15:20:00+08:00");
+    await h.bot.checkReminders();
+    assert.equal(pushedTexts()[1], "G1：⏰ 冰女 將於 15:30 重生（剩餘 10 分）（未確認）");
+
+    // 回報後恢復
+    await h.send("/殺 冰女");
+    assert.doesNotMatch(await h.send("/王 冰女"), /未確認/);
+  });
+
+  it("設定停提醒輪數後，太久沒人回報的王不再提醒", async () => {
+    assert.equal(await h.send("/停提醒輪數 2"), "✅ 連續錯過 2 輪沒人回報的王會暫停提醒");
+    h.clock.set("2026-01-05T13:31:00+08:00");
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), ["G1：🔕 冰女 已連續 2 輪沒人回報，暫停提醒（/殺 或按「剛擊殺」即可恢復）"]);
+
+    h.clock.set("2026-01-05T14:20:00+08:00");
+    await h.bot.checkReminders();
+    assert.equal(pushedTexts().length, 1);
+    assert.match(await h.send("/王 冰女"), /狀態：🔕/);
+
+    await h.postback("action=kill&boss=冰女"); // 14:20 擊殺 → 15:20
+    h.clock.set("2026-01-05T15:10:00+08:00");
+    await h.bot.checkReminders();
+    assert.equal(pushedTexts()[1], "G1：⏰ 冰女 將於 15:20 重生（剩餘 10 分）");
+  });
+
+  it("啟動時先把過期的王推到目前這一輪", async () => {
+    const sheets = h.sheets;
+    await h.close();
+    h = await createHarness({ sheets, now: "2026-01-05T14:45:00+08:00" });
+    assert.deepEqual(sheets.read("Boss_G1!C2:F2"), [["2026-01-05T07:30:00.000Z", "", "ALL", "3"]]);
+    assert.deepEqual(pushedTexts(), []);
+  });
+});
+
+describe("定時摘要", () => {
+  beforeEach(async () => {
+    h = await createHarness();
+    await h.send("/設定 冰女 3.00");
+    await h.send("/設定 火男 1.00");
+    await h.send("/定時 世界王 20:00 1");
+    await h.send("/分類 冰 冰女");
+    await h.send("/重生 冰女 0.30"); // 12:30、15:30、18:30、21:30
+    await h.send("/重生 火男 0.50"); // 12:50、13:50…
+    await h.send("/通知 冰 2"); // 冰女只在星期二通知
+    await h.send("/推播 移除"); // 只看摘要，不要一般提醒
+    await h.send("/未確認輪數 99");
+  });
+  afterEach(() => h.close());
+
+  it("設定、查看與關閉", async () => {
+    assert.equal(await h.send("/摘要"), "📰 本聊天室的摘要：\n・每日：關閉\n・每小時：關閉");
+    assert.equal(await h.send("/摘要 8:00"), "✅ 已更新\n📰 本聊天室的摘要：\n・每日：08:00\n・每小時：關閉");
+    assert.equal(await h.send("/摘要 每小時"), "✅ 已更新\n📰 本聊天室的摘要：\n・每日：08:00\n・每小時：開啟");
+    assert.equal(await h.send("/摘要 關閉 每日"), "✅ 已更新\n📰 本聊天室的摘要：\n・每日：關閉\n・每小時：開啟");
+    assert.equal(await h.send("/摘要 25:00"), "❌ 時間格式錯誤：25:00（例如 /摘要 08:00）");
+    assert.deepEqual(h.bot.settings.digests, { G1: { daily: null, hourly: true } });
+
+    assert.equal(await h.send("/摘要 關閉"), "✅ 已更新\n📰 本聊天室的摘要：\n・每日：關閉\n・每小時：關閉");
+    assert.deepEqual(h.bot.settings.digests, {});
+  });
+
+  it("每日摘要依時間列出今天的王，並遵守通知日", async () => {
+    await h.send("/摘要 18:00");
+    h.clock.set("2026-01-05T17:59:00+08:00");
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), []);
+
+    h.clock.set("2026-01-05T18:00:00+08:00");
+    await h.bot.checkReminders();
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), [
+      "G1：🌅 今日王表（01/05 星期一）\n・18:50 火男\n・19:50 火男\n・20:00 世界王\n・20:50 火男\n・21:50 火男\n・22:50 火男\n・23:50 火男",
+    ]);
+  });
+
+  it("每小時摘要在整點依分類列出", async () => {
+    await h.send("/通知 冰 1");
+    await h.send("/摘要 每小時");
+    h.clock.set("2026-01-05T15:00:00+08:00");
+    await h.bot.checkReminders();
+    h.clock.advance(1);
+    await h.bot.checkReminders();
+    assert.deepEqual(pushedTexts(), ["G1：🕐 15:00～16:00 重生的王\n【冰】\n・15:30 冰女\n【未分類】\n・15:50 火男"]);
+  });
+
+  it("設定存進 Sheets，重啟後還在", async () => {
+    await h.send("/摘要 08:00");
+    const sheets = h.sheets;
+    await h.close();
+    h = await createHarness({ sheets });
+    assert.equal(await h.send("/摘要"), "📰 本聊天室的摘要：\n・每日：08:00\n・每小時：關閉");
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createFileStorage } from "../storage/file.js";
+import { createHarness } from "./helpers.js";
+
+// 本機 JSON 檔儲存：每個測試用一個暫存資料夾
+let dir;
+let file;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "boss-bot-"));
+  file = path.join(dir, "data", "bot.json");
+});
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe("本機檔案儲存", () => {
+  it("沒有資料檔時從空的開始，寫入後重新讀得回來", async () => {
+    const storage = createFileStorage({ file });
+    assert.deepEqual(await storage.loadSettings({ notifyAll: true }), {});
+    assert.deepEqual(await storage.loadBossTables(), {});
+
+    await storage.saveSettings({ notifyAll: false, admins: ["U1"] });
+    await storage.saveBossTable("G1", { 冰女: { interval: 3, nextRespawn: "2026-01-05T05:00:00.000Z" } });
+    await storage.appendHistory([{ scopeId: "G1", boss: "冰女", action: "kill" }, { scopeId: "G2", boss: "火男", action: "kill" }]);
+    await storage.saveInventory("U1", { 墨水晶: 55 });
+
+    const reloaded = createFileStorage({ file });
+    assert.deepEqual(await reloaded.loadSettings({ notifyAll: true }), { notifyAll: false });
+    assert.deepEqual(await reloaded.loadBossTables(), {
+      G1: { 冰女: { interval: 3, nextRespawn: "2026-01-05T05:00:00.000Z" } },
+    });
+    assert.deepEqual(await reloaded.loadHistory("G1"), [{ scopeId: "G1", boss: "冰女", action: "kill" }]);
+    assert.deepEqual(await reloaded.loadInventories(), { U1: { 墨水晶: 55 } });
+    assert.ok(!(await fs.readdir(path.dirname(file))).includes("bot.json.tmp"));
+  });
+
+  it("bot 重啟後王表、設定與紀錄都還在", async () => {
+    let h = await createHarness({ file });
+    try {
+      await h.send("/設定 冰女 3.00");
+      await h.send("/殺 冰女 11:50");
+      await h.send("/提醒時間 15");
+    } finally {
+      await h.close();
+    }
+
+    h = await createHarness({ file });
+    try {
+      assert.match(await h.send("/王 冰女"), /預計 14:50/);
+      assert.equal(h.bot.settings.notifyBefore, 15);
+      assert.match(await h.send("/紀錄 冰女"), /01\/05 11:50 冰女 擊殺/);
+    } finally {
+      await h.close();
+    }
+  });
+});